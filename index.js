@@ -3,17 +3,43 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { CallToolRequestSchema, ListToolsRequestSchema, ToolSchema, } from "@modelcontextprotocol/sdk/types.js";
 import fs from "fs/promises";
+import { createReadStream, watch as watchFs, constants as fsConstants } from "fs";
+import { Readable } from "stream";
+import readline from "readline";
 import path from "path";
 import os from 'os';
+import { createHash } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import zlib from 'zlib';
 import { z } from "zod";
 import { zodToJsonSchema } from "zod-to-json-schema";
-import { createTwoFilesPatch } from 'diff';
+import { createTwoFilesPatch, parsePatch } from 'diff';
 import { minimatch } from 'minimatch';
 
 // Command line argument parsing
+// Directories are read-write unless preceded by --read-only or --no-delete,
+// which apply to every directory after them until the next mode flag
+const DIRECTORY_MODE_FLAGS = {
+    '--read-write': 'read-write',
+    '--no-delete': 'no-delete',
+    '--read-only': 'read-only',
+};
 const args = process.argv.slice(2);
-if (args.length === 0) {
-    console.error("Usage: mcp-server-filesystem <allowed-directory> [additional-directories...]");
+const directoryArgs = [];
+let currentDirectoryMode = 'read-write';
+for (const arg of args) {
+    if (arg in DIRECTORY_MODE_FLAGS) {
+        currentDirectoryMode = DIRECTORY_MODE_FLAGS[arg];
+        continue;
+    }
+    // Optional directory lists from the manifest may arrive empty or as the raw placeholder
+    if (arg === '' || arg.startsWith('${')) {
+        continue;
+    }
+    directoryArgs.push({ dir: arg, mode: currentDirectoryMode });
+}
+if (directoryArgs.length === 0) {
+    console.error("Usage: mcp-server-filesystem [--read-only|--no-delete|--read-write] <allowed-directory> [additional-directories...]");
     process.exit(1);
 }
 
@@ -28,11 +54,21 @@ function expandHome(filepath) {
     return filepath;
 }
 
-// Store allowed directories in normalized form
-const allowedDirectories = args.map(dir => normalizePath(path.resolve(expandHome(dir))));
+// Store allowed directories in normalized form, with the access mode of each.
+// A directory given more than once gets the most restrictive mode.
+const MODE_RESTRICTIVENESS = ['read-write', 'no-delete', 'read-only'];
+const directoryModes = new Map();
+for (const { dir, mode } of directoryArgs) {
+    const normalized = normalizePath(path.resolve(expandHome(dir)));
+    const previous = directoryModes.get(normalized);
+    if (!previous || MODE_RESTRICTIVENESS.indexOf(mode) > MODE_RESTRICTIVENESS.indexOf(previous)) {
+        directoryModes.set(normalized, mode);
+    }
+}
+const allowedDirectories = [...directoryModes.keys()];
 
 // Validate that all directories exist and are accessible
-await Promise.all(args.map(async (dir) => {
+await Promise.all(directoryArgs.map(async ({ dir }) => {
     try {
         const stats = await fs.stat(dir);
         if (!stats.isDirectory()) {
@@ -45,43 +81,203 @@ await Promise.all(args.map(async (dir) => {
         process.exit(1);
     }
 }));
+// Server configuration, passed in through the environment from the manifest's user_config
+function readConfigValue(name) {
+    const value = process.env[name];
+    // Unset optional user_config values may arrive empty or as the raw placeholder
+    if (value === undefined || value === '' || value.startsWith('${')) {
+        return undefined;
+    }
+    return value;
+}
+const respectGitignoreByDefault = readConfigValue('FILESYSTEM_RESPECT_GITIGNORE') === 'true';
+const serverIgnoreFile = readConfigValue('FILESYSTEM_IGNORE_FILE');
+const commandAllowlist = (readConfigValue('FILESYSTEM_COMMAND_ALLOWLIST') ?? '')
+    .split(',')
+    .map(command => command.trim())
+    .filter(Boolean);
+// Set the audit log to none to turn it off
+const auditLogSetting = readConfigValue('FILESYSTEM_AUDIT_LOG');
+const auditLogPath = auditLogSetting === 'none'
+    ? null
+    : path.resolve(expandHome(auditLogSetting ?? path.join(os.homedir(), '.filesystem-mcp', 'audit.jsonl')));
+
 // Security utilities
-async function validatePath(requestedPath) {
+// capability is 'read', 'write' or 'delete'; write and delete are refused on roots
+// whose mode does not allow them
+async function validatePath(requestedPath, capability = 'read') {
+    const resolvedPath = await resolveAllowedPath(requestedPath);
+    checkPermission(resolvedPath, capability);
+    recordAuditPath(resolvedPath);
+    return resolvedPath;
+}
+function checkPermission(resolvedPath, capability) {
+    // Deleting or moving the audit log's directory, or a directory above it, would take the log with it
+    if (capability === 'delete' && auditLogPath && isPathInside(normalizePath(path.dirname(auditLogPath)), resolvedPath)) {
+        throw new Error(`Access denied - ${resolvedPath} holds the audit log and cannot be deleted or moved`);
+    }
+    if (capability !== 'read' && isGitMetadataPath(resolvedPath)) {
+        // Hooks and config in .git (filter drivers, fsmonitor) run programs on the next git call
+        throw new Error(`Access denied - ${resolvedPath} is inside a .git directory, which tools may only read`);
+    }
+    const root = findAllowedRoot(resolvedPath);
+    const mode = directoryModes.get(root) ?? 'read-write';
+    if (capability === 'write' && mode === 'read-only') {
+        throw new Error(`Access denied - ${root} is read-only, cannot modify ${resolvedPath}`);
+    }
+    if (capability === 'delete' && mode !== 'read-write') {
+        throw new Error(`Access denied - ${root} is ${mode}, cannot delete or move ${resolvedPath}`);
+    }
+}
+function isGitMetadataPath(resolvedPath) {
+    return resolvedPath.split(/[\\/]/).some(segment => {
+        // Windows ignores trailing dots and spaces, so .git. is the same directory
+        const name = process.platform === 'win32' ? segment.replace(/[. ]+$/, '') : segment;
+        return comparablePath(name) === '.git';
+    });
+}
+async function resolveAllowedPath(requestedPath) {
     const expandedPath = expandHome(requestedPath);
     const absolute = path.isAbsolute(expandedPath)
         ? path.resolve(expandedPath)
         : path.resolve(process.cwd(), expandedPath);
     const normalizedRequested = normalizePath(absolute);
     // Check if path is within allowed directories
-    const isAllowed = allowedDirectories.some(dir => normalizedRequested.startsWith(dir));
-    if (!isAllowed) {
+    if (!isInsideAllowedDirectory(normalizedRequested)) {
         throw new Error(`Access denied - path outside allowed directories: ${absolute} not in ${allowedDirectories.join(', ')}`);
     }
+    checkDenyRules(normalizedRequested);
     // Handle symlinks by checking their real path
+    let realPath;
     try {
-        const realPath = await fs.realpath(absolute);
-        const normalizedReal = normalizePath(realPath);
-        const isRealPathAllowed = allowedDirectories.some(dir => normalizedReal.startsWith(dir));
-        if (!isRealPathAllowed) {
-            throw new Error("Access denied - symlink target outside allowed directories");
-        }
-        return realPath;
+        realPath = await fs.realpath(absolute);
     }
     catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        // A dangling symlink would let a write create its target anywhere
+        if (await fs.lstat(absolute).then(() => true, () => false)) {
+            throw new Error(`Access denied - ${absolute} is a symlink to a missing target`);
+        }
         // For new files that don't exist yet, verify parent directory
         const parentDir = path.dirname(absolute);
+        let realParentPath;
         try {
-            const realParentPath = await fs.realpath(parentDir);
-            const normalizedParent = normalizePath(realParentPath);
-            const isParentAllowed = allowedDirectories.some(dir => normalizedParent.startsWith(dir));
-            if (!isParentAllowed) {
-                throw new Error("Access denied - parent directory outside allowed directories");
-            }
-            return absolute;
+            realParentPath = await fs.realpath(parentDir);
         }
         catch {
             throw new Error(`Parent directory does not exist: ${parentDir}`);
         }
+        if (!isInsideAllowedDirectory(normalizePath(realParentPath))) {
+            throw new Error("Access denied - parent directory outside allowed directories");
+        }
+        checkDenyRules(normalizePath(path.join(realParentPath, path.basename(absolute))));
+        return absolute;
+    }
+    const normalizedReal = normalizePath(realPath);
+    if (!isInsideAllowedDirectory(normalizedReal)) {
+        throw new Error("Access denied - symlink target outside allowed directories");
+    }
+    checkDenyRules(normalizedReal);
+    return realPath;
+}
+// For paths that may not exist yet, in directories that may not exist either: validates
+// the nearest existing ancestor and checks the full path against the deny rules
+async function validateNewPath(requestedPath, capability = 'write') {
+    const absolute = path.resolve(expandHome(requestedPath));
+    let ancestor = absolute;
+    while (!await fs.lstat(ancestor).then(() => true, () => false) && path.dirname(ancestor) !== ancestor) {
+        ancestor = path.dirname(ancestor);
+    }
+    const validAncestor = await validatePath(ancestor, capability);
+    const resolvedPath = path.join(validAncestor, path.relative(ancestor, absolute));
+    checkPermission(resolvedPath, capability);
+    checkDenyRules(normalizePath(resolvedPath));
+    return resolvedPath;
+}
+// Windows and macOS file systems are case-insensitive by default
+const caseInsensitivePaths = process.platform === 'win32' || process.platform === 'darwin';
+function comparablePath(p) {
+    return caseInsensitivePaths ? p.toLowerCase() : p;
+}
+// Segment-aware containment, so /home/me/proj does not admit /home/me/project-secrets
+function isPathInside(childPath, parentPath) {
+    const child = comparablePath(childPath);
+    const parent = comparablePath(parentPath);
+    if (child === parent) {
+        return true;
+    }
+    const prefix = parent.endsWith(path.sep) ? parent : parent + path.sep;
+    return child.startsWith(prefix);
+}
+function isInsideAllowedDirectory(normalizedPath) {
+    return allowedDirectories.some(dir => isPathInside(normalizedPath, dir));
+}
+// Paths that stay off limits even inside allowed directories. Patterns without a slash
+// match any path segment, patterns with one match relative to any directory unless
+// they start with a slash, in which case they are anchored to the allowed directory.
+const DEFAULT_DENY_RULES = [
+    { pattern: '.env', reason: 'environment file that may contain secrets' },
+    { pattern: '.env.*', reason: 'environment file that may contain secrets' },
+    { pattern: '.ssh/**', reason: 'SSH keys and configuration' },
+    { pattern: '.gnupg/**', reason: 'GnuPG keyring' },
+    { pattern: '.aws/credentials', reason: 'AWS credentials' },
+    { pattern: '*.pem', reason: 'private key or certificate' },
+    { pattern: '*.key', reason: 'private key' },
+    { pattern: 'id_rsa*', reason: 'SSH private key' },
+    { pattern: 'id_ed25519*', reason: 'SSH private key' },
+];
+const configuredDenyPatterns = readConfigValue('FILESYSTEM_DENY_PATTERNS');
+const denyRules = configuredDenyPatterns === undefined
+    ? DEFAULT_DENY_RULES
+    : configuredDenyPatterns
+        .split(',')
+        .map(pattern => pattern.trim())
+        .filter(pattern => pattern && pattern !== 'none')
+        .map(pattern => ({ pattern, reason: 'configured deny pattern' }));
+function matchesDenyRule(relativePath, pattern) {
+    const options = { dot: true, nocase: caseInsensitivePaths };
+    const segments = relativePath.split('/');
+    if (!pattern.includes('/')) {
+        return segments.some(segment => minimatch(segment, pattern, options));
+    }
+    const glob = pattern.startsWith('/') ? pattern.slice(1) : `{,**/}${pattern}`;
+    // Check every ancestor too, so a denied directory covers everything below it
+    for (let i = 1; i <= segments.length; i++) {
+        if (minimatch(segments.slice(0, i).join('/'), glob, options)) {
+            return true;
+        }
+    }
+    return false;
+}
+function findDenyRule(normalizedPath) {
+    const root = findAllowedRoot(normalizedPath);
+    if (!root) {
+        return undefined;
+    }
+    const relativePath = path.relative(root, normalizedPath).split(path.sep).join('/');
+    if (relativePath === '') {
+        return undefined;
+    }
+    return denyRules.find(rule => matchesDenyRule(relativePath, rule.pattern));
+}
+// Listings use this to leave denied entries out instead of failing
+function isDeniedPath(fullPath) {
+    return findDenyRule(normalizePath(fullPath)) !== undefined;
+}
+function checkDenyRules(normalizedPath) {
+    // The audit log is append-only, tools may not touch it even inside an allowed directory
+    if (auditLogPath && comparablePath(normalizedPath) === comparablePath(normalizePath(auditLogPath))) {
+        throw new Error(`Access denied - ${normalizedPath} is the audit log, use query_audit_log to read it`);
+    }
+    // restore_from_trash moves items to the paths the manifest records, so tools may not forge them
+    if (comparablePath(path.basename(normalizedPath)) === comparablePath(TRASH_MANIFEST_NAME)) {
+        throw new Error(`Access denied - ${normalizedPath} is a Trash manifest, use list_trash to read it`);
+    }
+    const rule = findDenyRule(normalizedPath);
+    if (rule) {
+        throw new Error(`Access denied - ${normalizedPath} matches deny pattern "${rule.pattern}" (${rule.reason})`);
     }
 }
 
@@ -89,35 +285,12 @@ async function validatePath(requestedPath) {
 
 // Schema definitions
 
-// Added by Krisu 15.10.2025
-const GetPythonVersionSchema = z.object({});
-
-// Added by Krisu 15.10.2025
-const GetPipVersionSchema = z.object({});
-
-// Added by Krisu 15.10.2025
-const GetNodeVersionSchema = z.object({});
-
-// Added by Krisu 15.10.2025
-const GetGitVersionSchema = z.object({});
-
-// Added by Krisu 15.10.2025
-const GetFreebasicVersionSchema = z.object({});
-
-// Added by Krisu 15.10.2025
-const GetNpmVersionSchema = z.object({});
-
-// Added by Krisu 15.10.2025
-const GetPipPackagesSchema = z.object({});
-
-// Added by Krisu 15.10.2025
-const GetNpmGlobalPackagesSchema = z.object({});
-
-// Added by Krisu 15.10.2025
-const GetNpmProjectPackagesSchema = z.object({});
+// Toolchain lookups (get_python_version etc.) take no arguments
+const GetToolchainSchema = z.object({});
 
-// Added by Krisu 15.10.2025
-const GetDotnetInfoSchema = z.object({});
+const DetectToolchainsArgsSchema = z.object({
+    names: z.array(z.string()).optional().describe('Only check these toolchains, e.g. ["python", "node"]'),
+});
 
 // Added by Krisu 15.10.2025
 const GetSystemInfoSchema = z.object({});
@@ -131,12 +304,36 @@ const GetNetworkInfoSchema = z.object({});
 // Added by Krisu 14.10.2025
 const GetDriveInfoSchema = z.object({
 });
+const DiskUsageArgsSchema = z.object({
+    path: z.string(),
+    top: z.number().int().min(1).max(500).optional().default(20).describe('How many of the largest directories, files and extensions to list'),
+    maxDepth: z.number().int().min(1).optional().default(3).describe('Deepest directory level listed; deeper content still counts towards the totals'),
+    excludePatterns: z.array(z.string()).optional().default([]),
+    respectGitignore: z.boolean().optional().describe('Skip paths ignored by .gitignore, .ignore and the server ignore file'),
+});
 
 // Added by Krisu 14.10.2025
 const DeleteFileArgsSchema = z.object({
     path: z.string(),
 });
 
+const ListTrashArgsSchema = z.object({
+    path: z.string().optional().describe('Any path inside an allowed directory; limits the listing to that root\'s Trash'),
+});
+
+const RestoreFromTrashArgsSchema = z.object({
+    path: z.string().describe('Any path inside the allowed directory whose Trash holds the item'),
+    name: z.string().describe('Name of the item inside Trash, as shown by list_trash'),
+    onConflict: z.enum(['fail', 'rename', 'overwrite']).optional().default('fail')
+        .describe("What to do if the original path is occupied: 'fail', 'rename' the restored item, or 'overwrite' the existing one"),
+});
+
+const EmptyTrashArgsSchema = z.object({
+    path: z.string().optional().describe('Any path inside an allowed directory; limits the purge to that root\'s Trash'),
+    names: z.array(z.string()).optional().describe('Only purge these items'),
+    olderThanDays: z.number().min(0).optional().describe('Only purge items deleted more than this many days ago'),
+});
+
 // Added by Krisu 14.10.2025
 const CopyFileArgsSchema = z.object({
     source: z.string(),
@@ -147,37 +344,187 @@ const CopyFileArgsSchema = z.object({
 const GetLocalTimeSchema = z.object({
 });
 
-// Added by Krisu 15.10.2025
-const GetSqlite3VersionSchema = z.object({
-});
-
+const TextEncodingSchema = z.enum(['auto', 'utf-8', 'utf-16le', 'utf-16be', 'latin1']);
+const ReadRangeOptions = {
+    offset: z.number().int().min(0).optional().describe('Number of lines to skip before reading (0-based line offset)'),
+    limit: z.number().int().min(1).optional().describe('Maximum number of lines to return'),
+    head: z.number().int().min(1).optional().describe('Return only the first N lines'),
+    tail: z.number().int().min(1).optional().describe('Return only the last N lines'),
+    maxBytes: z.number().int().min(1).optional().describe('Maximum number of bytes of content to return'),
+    column: z.number().int().min(0).optional()
+        .describe("Number of characters to skip on the first line, to continue a line cut by 'maxBytes'"),
+    encoding: TextEncodingSchema.optional().default('auto')
+        .describe("'auto' detects UTF-8 and UTF-16 byte order marks and reads invalid UTF-8 as latin1"),
+};
 const ReadFileArgsSchema = z.object({
     path: z.string(),
+    ...ReadRangeOptions,
+    includeHash: z.boolean().optional()
+        .describe('Return the sha256 of the whole file with a ranged read, which reads the entire file'),
 });
 const ReadMultipleFilesArgsSchema = z.object({
     paths: z.array(z.string()),
+    ...ReadRangeOptions,
+});
+const MAX_TABLE_ROWS = 1000;
+const MAX_TABLE_SORT_WINDOW = 100000;
+const ReadTableArgsSchema = z.object({
+    path: z.string(),
+    delimiter: z.enum(['auto', 'comma', 'tab', 'semicolon', 'pipe']).default('auto')
+        .describe("'auto' uses tab for .tsv files and otherwise picks the most common delimiter in the first line"),
+    hasHeader: z.boolean().default(true).describe('Whether the first row holds column names; otherwise columns are named column1, column2, ...'),
+    columns: z.array(z.string()).optional().describe('Columns to return, in this order (default: all)'),
+    filter: z.string().optional().describe("Keep only matching rows, e.g. age >= 30 and (city = 'Oslo' or name contains son). " +
+        "Operators: = != < <= > >= contains startswith endswith matches (regex), is empty, is not empty; combine with and, or, not and parentheses"),
+    sortBy: z.array(z.object({
+        column: z.string(),
+        descending: z.boolean().default(false),
+    })).optional().describe('Sort keys, most significant first; empty values sort last'),
+    offset: z.number().int().min(0).default(0).describe('Number of matching rows to skip'),
+    limit: z.number().int().min(1).max(MAX_TABLE_ROWS).default(100).describe('Maximum number of rows to return'),
+    encoding: TextEncodingSchema.optional().default('auto'),
 });
+const WritePreconditions = {
+    expectedHash: z.string().optional().describe('Only write if the file\'s current sha256 matches, as returned by read_file or get_file_info'),
+    expectedMtime: z.string().optional().describe('Only write if the file\'s current modification time matches (ISO 8601)')
+};
 const WriteFileArgsSchema = z.object({
     path: z.string(),
     content: z.string(),
+    encoding: TextEncodingSchema.optional().default('auto')
+        .describe("'auto' keeps the encoding of the file being replaced, UTF-8 for new files"),
+    bom: z.boolean().optional().describe('Write a byte order mark; by default kept from the replaced file, and on for new UTF-16 files'),
+    lineEndings: z.enum(['auto', 'lf', 'crlf']).optional().default('auto')
+        .describe("'auto' keeps CRLF line endings of the file being replaced and writes other content as given"),
+    ...WritePreconditions,
 });
 const EditOperation = z.object({
-    oldText: z.string().describe('Text to search for - must match exactly'),
-    newText: z.string().describe('Text to replace with')
+    oldText: z.string().optional().describe('Text to search for - must match exactly'),
+    newText: z.string().describe('Text to replace with'),
+    regex: z.boolean().optional().describe('Treat oldText as a regular expression; newText may use $1, $<name> and $&'),
+    replaceAll: z.boolean().optional().describe('Replace every occurrence of oldText'),
+    occurrence: z.number().int().min(1).optional().describe('Replace only the Nth occurrence of oldText (1-based)'),
+    startLine: z.number().int().min(1).optional().describe('First line of a line range to replace (1-based, instead of oldText)'),
+    endLine: z.number().int().min(1).optional().describe('Last line of the range, inclusive; defaults to startLine. An empty newText deletes the range'),
+    insertAfterLine: z.number().int().min(0).optional().describe('Insert newText after this line (0 inserts at the top, instead of oldText)')
 });
 const EditFileArgsSchema = z.object({
     path: z.string(),
     edits: z.array(EditOperation),
+    dryRun: z.boolean().default(false).describe('Preview changes using git-style diff format'),
+    ...WritePreconditions,
+});
+const ListFileHistoryArgsSchema = z.object({
+    path: z.string(),
+});
+const DiffFileVersionArgsSchema = z.object({
+    path: z.string(),
+    version: z.number().int().describe('Version number as shown by list_file_history'),
+    againstVersion: z.number().int().optional().describe('Compare with this version instead of the current content'),
+});
+const RevertFileArgsSchema = z.object({
+    path: z.string(),
+    version: z.number().int().describe('Version number as shown by list_file_history'),
     dryRun: z.boolean().default(false).describe('Preview changes using git-style diff format')
 });
+const ApplyPatchArgsSchema = z.object({
+    patch: z.string().describe('Unified diff, may touch several files'),
+    basePath: z.string().optional().describe('Directory that relative paths in the patch are resolved against'),
+    fuzzFactor: z.number().int().min(0).optional().default(2).describe('Number of lines per hunk that may mismatch'),
+    dryRun: z.boolean().default(false).describe('Only check whether the patch applies, without changing files')
+});
+const StructuredFormatSchema = z.enum(['auto', 'json', 'yaml', 'toml']).default('auto')
+    .describe('File format; auto goes by the extension (.json, .jsonc, .yaml, .yml, .toml)');
+const QueryStructuredFileArgsSchema = z.object({
+    path: z.string(),
+    query: z.string().default('$').describe('Dotted path (server.port, items[0].name) or JSONPath ($.items[*].name, $..name, $["key.with.dots"])'),
+    format: StructuredFormatSchema,
+});
+const StructuredOperation = z.object({
+    op: z.enum(['set', 'delete', 'append']).describe('set a value (missing objects on the way are created), delete it, or append to an array'),
+    path: z.string().describe('Dotted path or JSONPath naming a single value'),
+    value: z.any().optional().describe('JSON value to set or append'),
+});
+const UpdateStructuredFileArgsSchema = z.object({
+    path: z.string(),
+    operations: z.array(StructuredOperation).min(1).describe('Applied in order; each sees the result of the previous ones'),
+    format: StructuredFormatSchema,
+    dryRun: z.boolean().default(false).describe('Preview changes using git-style diff format'),
+    ...WritePreconditions,
+});
+const GitStatusArgsSchema = z.object({
+    path: z.string().describe('Any path inside the repository'),
+});
+const GitDiffArgsSchema = z.object({
+    path: z.string().describe('Any path inside the repository'),
+    staged: z.boolean().optional().default(false).describe('Show staged changes instead of the working tree'),
+    from: z.string().optional().describe('Compare from this ref instead of the index'),
+    to: z.string().optional().describe('Compare up to this ref, requires from'),
+    paths: z.array(z.string()).optional().default([]).describe('Limit the diff to these paths'),
+});
+const GitLogArgsSchema = z.object({
+    path: z.string().describe('Any path inside the repository'),
+    ref: z.string().optional().describe('Branch, tag or commit to start from, defaults to HEAD'),
+    maxCount: z.number().int().min(1).optional().default(20),
+    paths: z.array(z.string()).optional().default([]).describe('Only commits touching these paths'),
+    author: z.string().optional(),
+    since: z.string().optional().describe('e.g. 2025-10-01 or "2 weeks ago"'),
+    grep: z.string().optional().describe('Only commits whose message matches'),
+});
+const GitShowArgsSchema = z.object({
+    path: z.string().describe('Any path inside the repository'),
+    ref: z.string().optional().default('HEAD'),
+    file: z.string().optional().describe('Show this file as it was at ref instead of the commit'),
+});
+const GitAddArgsSchema = z.object({
+    path: z.string().describe('Any path inside the repository'),
+    paths: z.array(z.string()).min(1).describe('Files or directories to stage'),
+});
+const GitCommitArgsSchema = z.object({
+    path: z.string().describe('Any path inside the repository'),
+    message: z.string().min(1),
+    all: z.boolean().optional().default(false).describe('Stage all modified tracked files first, like git commit -a'),
+    paths: z.array(z.string()).optional().default([]).describe('Only commit these paths'),
+});
+const RunCommandArgsSchema = z.object({
+    command: z.string().describe('Executable to run, must be in the configured allowlist'),
+    args: z.array(z.string()).optional().default([]).describe('Arguments, passed as-is without a shell'),
+    cwd: z.string().describe('Working directory, must be inside an allowed directory'),
+    timeoutMs: z.number().int().min(1).max(600000).optional().default(60000),
+    maxOutputBytes: z.number().int().min(1000).optional().default(100000).describe('Output beyond this is cut from the middle, per stream'),
+});
+const QueryAuditLogArgsSchema = z.object({
+    tool: z.string().optional().describe('Only calls of this tool'),
+    path: z.string().optional().describe('Only calls that touched this path or anything below it'),
+    since: z.string().optional().describe('ISO timestamp, only calls at or after it'),
+    until: z.string().optional().describe('ISO timestamp, only calls before it'),
+    errorsOnly: z.boolean().optional().default(false),
+    limit: z.number().int().min(1).max(1000).optional().default(50).describe('Most recent matching calls to return'),
+});
 const CreateDirectoryArgsSchema = z.object({
     path: z.string(),
 });
 const ListDirectoryArgsSchema = z.object({
     path: z.string(),
+    details: z.boolean().optional().default(false).describe('Include size, modified time, permissions and symlink targets'),
+    sortBy: z.enum(['name', 'size', 'mtime']).optional().describe('Sort entries, directory order is used by default'),
+    order: z.enum(['asc', 'desc']).optional().default('asc'),
+    showHidden: z.boolean().optional().default(true).describe('Include entries whose name starts with a dot'),
+    pattern: z.string().optional().describe('Only list entries whose name matches this glob, e.g. *.md'),
+    offset: z.number().int().min(0).optional().default(0).describe('Number of entries to skip'),
+    limit: z.number().int().min(1).optional().describe('Maximum number of entries to return'),
+    format: z.enum(['text', 'json']).optional().default('text'),
+    respectGitignore: z.boolean().optional().describe('Skip paths ignored by .gitignore, .ignore and the server ignore file')
 });
 const DirectoryTreeArgsSchema = z.object({
     path: z.string(),
+    maxDepth: z.number().int().min(1).optional().describe('Maximum depth to descend, 1 lists only the top level'),
+    excludePatterns: z.array(z.string()).optional().default([]),
+    showSizes: z.boolean().optional().default(false).describe('Include file sizes in bytes'),
+    showCounts: z.boolean().optional().default(false).describe('Include file and directory counts per directory'),
+    maxEntries: z.number().int().min(1).optional().describe('Stop after this many entries and mark the rest as truncated'),
+    format: z.enum(['json', 'text']).optional().default('json').describe("'json' or compact indented 'text'"),
+    respectGitignore: z.boolean().optional().describe('Skip paths ignored by .gitignore, .ignore and the server ignore file')
 });
 const MoveFileArgsSchema = z.object({
     source: z.string(),
@@ -186,7 +533,92 @@ const MoveFileArgsSchema = z.object({
 const SearchFilesArgsSchema = z.object({
     path: z.string(),
     pattern: z.string(),
-    excludePatterns: z.array(z.string()).optional().default([])
+    excludePatterns: z.array(z.string()).optional().default([]),
+    mode: z.enum(['name', 'content']).optional().default('name').describe("'name' matches file names, 'content' searches inside files"),
+    regex: z.boolean().optional().default(false).describe('Treat pattern as a regular expression'),
+    caseSensitive: z.boolean().optional().default(false).describe('Match letter case, in file names and in contents'),
+    includePatterns: z.array(z.string()).optional().default([]).describe('Only search files matching these globs, e.g. *.js'),
+    contextLines: z.number().int().min(0).optional().default(0).describe('Lines of context around each match (content mode)'),
+    maxMatchesPerFile: z.number().int().min(1).optional().default(50),
+    respectGitignore: z.boolean().optional().describe('Skip paths ignored by .gitignore, .ignore and the server ignore file')
+});
+const WatchDirectoryArgsSchema = z.object({
+    path: z.string(),
+    excludePatterns: z.array(z.string()).optional().default([]),
+    respectGitignore: z.boolean().optional().describe('Skip paths ignored by .gitignore, .ignore and the server ignore file'),
+    debounceMs: z.number().int().min(0).max(10000).optional().default(300).describe('Wait this long after the last change before recording it'),
+    pollIntervalMs: z.number().int().min(500).max(60000).optional().default(2000).describe('Rescan interval when native watching is unavailable'),
+    usePolling: z.boolean().optional().default(false).describe('Poll even where native watching is available, e.g. on network drives'),
+});
+const GetChangesArgsSchema = z.object({
+    watchId: z.string(),
+    cursor: z.number().int().min(0).optional().default(0).describe('Cursor returned by the previous call, 0 for all recorded changes'),
+    limit: z.number().int().min(1).max(5000).optional().default(500),
+});
+const UnwatchDirectoryArgsSchema = z.object({
+    watchId: z.string(),
+});
+const DEFAULT_ARCHIVE_MAX_ENTRIES = 10000;
+const DEFAULT_ARCHIVE_MAX_BYTES = 512 * 1024 * 1024;
+const ArchiveFormatSchema = z.enum(['zip', 'tar', 'tar.gz']);
+const ArchiveLimitOptions = {
+    maxEntries: z.number().int().min(1).optional().default(DEFAULT_ARCHIVE_MAX_ENTRIES),
+    maxTotalBytes: z.number().int().min(1).optional().default(DEFAULT_ARCHIVE_MAX_BYTES).describe('Limit on the uncompressed size of all entries'),
+};
+const CreateArchiveArgsSchema = z.object({
+    path: z.string().describe('Archive to create'),
+    sources: z.array(z.string()).min(1).describe('Files and directories to add, each under its own name'),
+    format: ArchiveFormatSchema.optional().describe('Defaults to the extension of path: .zip, .tar, .tar.gz or .tgz'),
+    excludePatterns: z.array(z.string()).optional().default([]),
+    respectGitignore: z.boolean().optional().describe('Skip paths ignored by .gitignore, .ignore and the server ignore file'),
+    overwrite: z.boolean().optional().default(false).describe('Replace path if it already exists'),
+    ...ArchiveLimitOptions,
+});
+const ListArchiveArgsSchema = z.object({
+    path: z.string(),
+    format: ArchiveFormatSchema.optional().describe('Detected from the content when omitted'),
+    ...ArchiveLimitOptions,
+});
+const ExtractArchiveArgsSchema = z.object({
+    path: z.string(),
+    destination: z.string().describe('Directory to extract into, created if missing'),
+    format: ArchiveFormatSchema.optional().describe('Detected from the content when omitted'),
+    onConflict: z.enum(['fail', 'skip', 'overwrite']).optional().default('fail')
+        .describe("What to do with entries whose target exists: 'fail' before writing anything, 'skip' them or 'overwrite'"),
+    ...ArchiveLimitOptions,
+});
+const ChecksumAlgorithmSchema = z.enum(['md5', 'sha1', 'sha256']);
+const ComputeChecksumArgsSchema = z.object({
+    path: z.string().describe('File or directory; directories are hashed file by file'),
+    algorithm: ChecksumAlgorithmSchema.optional().default('sha256'),
+    excludePatterns: z.array(z.string()).optional().default([]),
+    respectGitignore: z.boolean().optional().describe('Skip paths ignored by .gitignore, .ignore and the server ignore file'),
+    outputPath: z.string().optional().describe('Also write the manifest to this file, e.g. SHA256SUMS'),
+});
+const VerifyChecksumsArgsSchema = z.object({
+    manifestPath: z.string().describe('Manifest in sha256sum format: <hash>  <path> per line'),
+    basePath: z.string().optional().describe('Directory the manifest paths are relative to, defaults to the manifest\'s directory'),
+    algorithm: ChecksumAlgorithmSchema.optional().describe('Detected from the hash length when omitted'),
+});
+const FindDuplicatesArgsSchema = z.object({
+    path: z.string(),
+    excludePatterns: z.array(z.string()).optional().default([]),
+    respectGitignore: z.boolean().optional().describe('Skip paths ignored by .gitignore, .ignore and the server ignore file'),
+    minSize: z.number().int().min(0).optional().default(1).describe('Ignore files smaller than this many bytes'),
+});
+const BatchRenameArgsSchema = z.object({
+    path: z.string().describe('Directory the selection and new names are relative to'),
+    pattern: z.string().describe('Glob selecting files relative to path, e.g. *.jpg or **/*.txt'),
+    excludePatterns: z.array(z.string()).optional().default([]),
+    find: z.string().optional().describe('Regex applied to each file name, all matches are replaced with replace'),
+    caseSensitive: z.boolean().optional().default(true).describe('Whether find is case-sensitive'),
+    replace: z.string().optional().describe('Replacement for find matches; $1 etc. refer to capture groups and {tokens} are expanded'),
+    template: z.string().optional().describe('Builds the whole new name instead of find/replace, e.g. "{date}_{n:3}{ext}"'),
+    sortBy: z.enum(['name', 'mtime', 'size']).optional().default('name').describe('Order in which the {n} counter is assigned'),
+    counterStart: z.number().int().optional().default(1),
+    counterStep: z.number().int().optional().default(1),
+    dryRun: z.boolean().optional().default(false).describe('Preview the renames without changing anything'),
+    maxFiles: z.number().int().min(1).optional().default(1000),
 });
 const GetFileInfoArgsSchema = z.object({
     path: z.string(),
@@ -206,7 +638,7 @@ const server = new Server({
 // Tool implementations
 async function getFileStats(filePath) {
     const stats = await fs.stat(filePath);
-    return {
+    const info = {
         size: stats.size,
         created: stats.birthtime,
         modified: stats.mtime,
@@ -215,10 +647,185 @@ async function getFileStats(filePath) {
         isFile: stats.isFile(),
         permissions: stats.mode.toString(8).slice(-3),
     };
+    if (stats.isFile()) {
+        info.mtime = stats.mtime.toISOString();
+        info.sha256 = await hashFile(filePath);
+    }
+    return info;
 }
-async function searchFiles(rootPath, pattern, excludePatterns = []) {
-    const results = [];
-    async function search(currentPath) {
+// Concurrency and atomic write utilities
+async function hashFile(filePath, algorithm = 'sha256') {
+    const hash = createHash(algorithm);
+    for await (const chunk of createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+async function getVersionInfo(filePath, { hash = true } = {}) {
+    const stats = await fs.stat(filePath);
+    return { sha256: hash ? await hashFile(filePath) : undefined, mtime: stats.mtime.toISOString() };
+}
+function formatVersionInfo(info) {
+    return info.sha256 !== undefined ? `sha256: ${info.sha256}\nmtime: ${info.mtime}` : `mtime: ${info.mtime}`;
+}
+// Rejects the write if the file changed since the caller read it
+async function checkWritePreconditions(filePath, { expectedHash, expectedMtime }) {
+    if (expectedHash === undefined && expectedMtime === undefined) {
+        return;
+    }
+    let current;
+    try {
+        current = await getVersionInfo(filePath, { hash: expectedHash !== undefined });
+    }
+    catch {
+        throw new Error(`Conflict: ${filePath} no longer exists. Read it again before writing.`);
+    }
+    if (expectedHash !== undefined && expectedHash.toLowerCase() !== current.sha256) {
+        throw new Error(`Conflict: ${filePath} has changed since it was read ` +
+            `(expected sha256 ${expectedHash}, found ${current.sha256}). Read it again before writing.`);
+    }
+    if (expectedMtime !== undefined && new Date(expectedMtime).getTime() !== new Date(current.mtime).getTime()) {
+        throw new Error(`Conflict: ${filePath} has changed since it was read ` +
+            `(expected mtime ${expectedMtime}, found ${current.mtime}). Read it again before writing.`);
+    }
+}
+// Writes to a temporary file next to the target and renames it into place,
+// so the target is never left half-written
+async function writeFileAtomic(filePath, content, encoding = 'utf-8') {
+    const tempPath = path.join(path.dirname(filePath),
+        `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+        await fs.writeFile(tempPath, content, encoding);
+        try {
+            // Keep the permissions of the file being replaced
+            const { mode } = await fs.stat(filePath);
+            await fs.chmod(tempPath, mode);
+        }
+        catch {
+            // New file, keep default permissions
+        }
+        await fs.rename(tempPath, filePath);
+    }
+    catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+function matchesExcludePattern(relativePath, excludePatterns) {
+    return excludePatterns.some(pattern => {
+        const globPattern = pattern.includes('*') ? pattern : `**/${pattern}/**`;
+        return minimatch(relativePath, globPattern, { dot: true });
+    });
+}
+function matchesIncludePattern(relativePath, includePatterns) {
+    if (includePatterns.length === 0) {
+        return true;
+    }
+    return includePatterns.some(pattern => minimatch(relativePath, pattern, { dot: true, matchBase: true }));
+}
+// .gitignore support
+// Rules come from the server-level ignore file (relative to each allowed root) and from
+// .gitignore and .ignore files in every directory; as in git, the last matching rule wins
+const IGNORE_FILE_NAMES = ['.gitignore', '.ignore'];
+function parseIgnoreRules(text, base) {
+    const rules = [];
+    for (let line of text.split(/\r?\n/)) {
+        line = line.trimEnd();
+        if (line === '' || line.startsWith('#')) {
+            continue;
+        }
+        const negate = line.startsWith('!');
+        if (negate) {
+            line = line.slice(1);
+        }
+        else if (line.startsWith('\\')) {
+            line = line.slice(1);
+        }
+        const directoryOnly = line.endsWith('/');
+        if (directoryOnly) {
+            line = line.slice(0, -1);
+        }
+        // Patterns containing a slash are relative to the ignore file's directory,
+        // others match a name at any depth
+        const anchored = line.includes('/');
+        rules.push({ base, pattern: anchored ? line.replace(/^\//, '') : line, negate, directoryOnly, anchored });
+    }
+    return rules;
+}
+async function readIgnoreRules(dirPath) {
+    const rules = [];
+    for (const name of IGNORE_FILE_NAMES) {
+        try {
+            rules.push(...parseIgnoreRules(await fs.readFile(path.join(dirPath, name), 'utf-8'), dirPath));
+        }
+        catch {
+            // No ignore file in this directory
+        }
+    }
+    return rules;
+}
+let serverIgnoreText = null;
+async function readServerIgnoreText() {
+    if (serverIgnoreText === null) {
+        try {
+            serverIgnoreText = serverIgnoreFile ? await fs.readFile(expandHome(serverIgnoreFile), 'utf-8') : '';
+        }
+        catch (error) {
+            console.error(`Could not read ignore file ${serverIgnoreFile}:`, error.message);
+            serverIgnoreText = '';
+        }
+    }
+    return serverIgnoreText;
+}
+// Returns isIgnored(fullPath, isDirectory) for paths under startPath, with rules
+// cached per directory for the lifetime of one traversal
+async function createIgnoreFilter(startPath) {
+    const root = findAllowedRoot(startPath) ?? startPath;
+    const globalRules = [
+        ...parseIgnoreRules('.git/\n', root),
+        ...parseIgnoreRules(await readServerIgnoreText(), root),
+    ];
+    const cache = new Map();
+    async function rulesFor(dirPath) {
+        if (!cache.has(dirPath)) {
+            cache.set(dirPath, await readIgnoreRules(dirPath));
+        }
+        return cache.get(dirPath);
+    }
+    return async function isIgnored(fullPath, isDirectory) {
+        // Collect directories from the allowed root down to the entry's parent
+        const dirs = [];
+        for (let dir = path.dirname(fullPath); isPathInside(dir, root); dir = path.dirname(dir)) {
+            dirs.unshift(dir);
+            if (dir === root || path.dirname(dir) === dir) {
+                break;
+            }
+        }
+        const rules = [...globalRules];
+        for (const dir of dirs) {
+            rules.push(...await rulesFor(dir));
+        }
+        let ignored = false;
+        for (const rule of rules) {
+            if (rule.directoryOnly && !isDirectory) {
+                continue;
+            }
+            const relativePath = path.relative(rule.base, fullPath).split(path.sep).join('/');
+            if (relativePath.startsWith('..')) {
+                continue;
+            }
+            if (minimatch(relativePath, rule.pattern, { dot: true, matchBase: !rule.anchored })) {
+                ignored = !rule.negate;
+            }
+        }
+        return ignored;
+    };
+}
+// Walks a directory tree, skipping excluded, ignored and disallowed paths, and calls
+// visit(entry, fullPath, relativePath) for every remaining entry
+async function walkDirectory(rootPath, { excludePatterns = [], respectGitignore = false }, visit) {
+    const ignoreFilter = respectGitignore ? await createIgnoreFilter(rootPath) : null;
+    async function walk(currentPath) {
         const entries = await fs.readdir(currentPath, { withFileTypes: true });
         for (const entry of entries) {
             const fullPath = path.join(currentPath, entry.name);
@@ -227,18 +834,15 @@ async function searchFiles(rootPath, pattern, excludePatterns = []) {
                 await validatePath(fullPath);
                 // Check if path matches any exclude pattern
                 const relativePath = path.relative(rootPath, fullPath);
-                const shouldExclude = excludePatterns.some(pattern => {
-                    const globPattern = pattern.includes('*') ? pattern : `**/${pattern}/**`;
-                    return minimatch(relativePath, globPattern, { dot: true });
-                });
-                if (shouldExclude) {
+                if (matchesExcludePattern(relativePath, excludePatterns)) {
                     continue;
                 }
-                if (entry.name.toLowerCase().includes(pattern.toLowerCase())) {
-                    results.push(fullPath);
+                if (ignoreFilter && await ignoreFilter(fullPath, entry.isDirectory())) {
+                    continue;
                 }
+                await visit(entry, fullPath, relativePath);
                 if (entry.isDirectory()) {
-                    await search(fullPath);
+                    await walk(fullPath);
                 }
             }
             catch (error) {
@@ -247,197 +851,4548 @@ async function searchFiles(rootPath, pattern, excludePatterns = []) {
             }
         }
     }
-    await search(rootPath);
+    await walk(rootPath);
+}
+async function searchFiles(rootPath, pattern, options) {
+    const { includePatterns = [] } = options;
+    const searchRegex = buildSearchRegex(pattern, options);
+    const results = [];
+    await walkDirectory(rootPath, options, async (entry, fullPath, relativePath) => {
+        if (!entry.isDirectory() && !matchesIncludePattern(relativePath, includePatterns)) {
+            return;
+        }
+        // search() ignores lastIndex, so the global regex can be reused
+        if (entry.name.search(searchRegex) !== -1) {
+            results.push(fullPath);
+        }
+    });
     return results;
 }
-// file editing and diffing utilities
-function normalizeLineEndings(text) {
-    return text.replace(/\r\n/g, '\n');
+async function isBinaryFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(8000);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        return buffer.subarray(0, bytesRead).includes(0);
+    }
+    finally {
+        await handle.close();
+    }
 }
-function createUnifiedDiff(originalContent, newContent, filepath = 'file') {
-    // Ensure consistent line endings for diff
-    const normalizedOriginal = normalizeLineEndings(originalContent);
-    const normalizedNew = normalizeLineEndings(newContent);
-    return createTwoFilesPatch(filepath, filepath, normalizedOriginal, normalizedNew, 'original', 'modified');
+function buildSearchRegex(pattern, { regex = false, caseSensitive = false } = {}) {
+    const source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    try {
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    }
+    catch (error) {
+        throw new Error(`Invalid search pattern: ${error.message}`);
+    }
 }
-async function applyFileEdits(filePath, edits, dryRun = false) {
-    // Read file content and normalize line endings
-    const content = normalizeLineEndings(await fs.readFile(filePath, 'utf-8'));
-    // Apply edits sequentially
-    let modifiedContent = content;
-    for (const edit of edits) {
-        const normalizedOld = normalizeLineEndings(edit.oldText);
-        const normalizedNew = normalizeLineEndings(edit.newText);
-        // If exact match exists, use it
-        if (modifiedContent.includes(normalizedOld)) {
-            modifiedContent = modifiedContent.replace(normalizedOld, normalizedNew);
+const MAX_MATCH_LINE_LENGTH = 500;
+function formatMatchLine(text) {
+    return text.length > MAX_MATCH_LINE_LENGTH ? `${text.slice(0, MAX_MATCH_LINE_LENGTH)}...` : text;
+}
+// Searches file contents line by line; matches are reported as path:line:column: text,
+// context lines as path-line- text and non-adjacent groups are separated by --
+async function searchFileContents(filePath, searchRegex, contextLines, maxMatches) {
+    const output = [];
+    const before = [];
+    let matchCount = 0;
+    let afterRemaining = 0;
+    let lastPrinted = -1;
+    let lineNumber = 0;
+    const rl = readline.createInterface({
+        input: createReadStream(filePath, { encoding: 'utf-8' }),
+        crlfDelay: Infinity,
+    });
+    for await (const line of rl) {
+        lineNumber++;
+        const matches = matchCount < maxMatches ? [...line.matchAll(searchRegex)] : [];
+        if (matches.length > 0) {
+            const firstShown = lineNumber - before.length;
+            if (contextLines > 0 && lastPrinted !== -1 && firstShown > lastPrinted + 1) {
+                output.push('--');
+            }
+            for (const contextLine of before) {
+                output.push(`${filePath}-${contextLine.lineNumber}- ${formatMatchLine(contextLine.text)}`);
+            }
+            before.length = 0;
+            for (const match of matches.slice(0, maxMatches - matchCount)) {
+                output.push(`${filePath}:${lineNumber}:${match.index + 1}: ${formatMatchLine(line)}`);
+                matchCount++;
+            }
+            lastPrinted = lineNumber;
+            afterRemaining = contextLines;
+        }
+        else if (afterRemaining > 0) {
+            output.push(`${filePath}-${lineNumber}- ${formatMatchLine(line)}`);
+            lastPrinted = lineNumber;
+            afterRemaining--;
+        }
+        else if (matchCount >= maxMatches) {
+            break;
+        }
+        else if (contextLines > 0) {
+            before.push({ lineNumber, text: line });
+            if (before.length > contextLines) {
+                before.shift();
+            }
+        }
+    }
+    rl.close();
+    return { output, matchCount };
+}
+async function searchContents(rootPath, pattern, options) {
+    const { includePatterns = [], contextLines = 0, maxMatchesPerFile = 50 } = options;
+    const searchRegex = buildSearchRegex(pattern, options);
+    const results = [];
+    let skippedBinary = 0;
+    await walkDirectory(rootPath, options, async (entry, fullPath, relativePath) => {
+        if (!entry.isFile() || !matchesIncludePattern(relativePath, includePatterns)) {
+            return;
+        }
+        if (await isBinaryFile(fullPath)) {
+            skippedBinary++;
+            return;
+        }
+        const { output, matchCount } = await searchFileContents(fullPath, searchRegex, contextLines, maxMatchesPerFile);
+        if (matchCount > 0) {
+            results.push(output.join('\n'));
+        }
+    });
+    return { results, skippedBinary };
+}
+// Text encoding utilities
+// Files are decoded with their detected or requested encoding and written back the same
+// way, so edits keep byte order marks, legacy encodings and CRLF line endings
+const BYTE_ORDER_MARKS = {
+    'utf-8': Buffer.from([0xef, 0xbb, 0xbf]),
+    'utf-16le': Buffer.from([0xff, 0xfe]),
+    'utf-16be': Buffer.from([0xfe, 0xff]),
+};
+const DEFAULT_TEXT_FORMAT = { encoding: 'utf-8', bom: false, lineEnding: 'lf' };
+function detectByteOrderMark(buffer) {
+    return Object.keys(BYTE_ORDER_MARKS).find(encoding => {
+        const bom = BYTE_ORDER_MARKS[encoding];
+        return buffer.length >= bom.length && buffer.subarray(0, bom.length).equals(bom);
+    }) ?? null;
+}
+function isValidUtf8(buffer) {
+    try {
+        // stream mode tolerates a sequence cut off at the end of a sample
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+        return true;
+    }
+    catch {
+        return false;
+    }
+}
+function detectEncoding(buffer, requestedEncoding = 'auto') {
+    const bomEncoding = detectByteOrderMark(buffer);
+    if (requestedEncoding !== 'auto') {
+        return { encoding: requestedEncoding, bom: bomEncoding === requestedEncoding };
+    }
+    if (bomEncoding) {
+        return { encoding: bomEncoding, bom: true };
+    }
+    return { encoding: isValidUtf8(buffer) ? 'utf-8' : 'latin1', bom: false };
+}
+function swapBytePairs(buffer) {
+    const swapped = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+    return swapped.swap16();
+}
+function decodeText(buffer, { encoding, bom }) {
+    const body = bom ? buffer.subarray(BYTE_ORDER_MARKS[encoding].length) : buffer;
+    if (encoding === 'utf-16be') {
+        return swapBytePairs(body).toString('utf16le');
+    }
+    return body.toString(encoding === 'utf-16le' ? 'utf16le' : encoding);
+}
+function encodeText(text, { encoding, bom }) {
+    if (encoding === 'latin1' && /[^\u0000-\u00ff]/.test(text)) {
+        throw new Error("Content has characters latin1 cannot represent, pass encoding 'utf-8' to convert the file");
+    }
+    let body;
+    if (encoding === 'utf-16be') {
+        body = Buffer.from(text, 'utf16le').swap16();
+    }
+    else {
+        body = Buffer.from(text, encoding === 'utf-16le' ? 'utf16le' : encoding);
+    }
+    return bom ? Buffer.concat([BYTE_ORDER_MARKS[encoding], body]) : body;
+}
+// Mixed files count as whichever style most lines use
+function detectLineEnding(text) {
+    const crlf = (text.match(/\r\n/g) ?? []).length;
+    const lf = (text.match(/\n/g) ?? []).length - crlf;
+    return crlf > lf ? 'crlf' : 'lf';
+}
+function applyLineEnding(text, lineEnding) {
+    if (!lineEnding) {
+        return text;
+    }
+    const normalized = normalizeLineEndings(text);
+    return lineEnding === 'crlf' ? normalized.replace(/\n/g, '\r\n') : normalized;
+}
+function decodeTextBuffer(buffer, requestedEncoding = 'auto') {
+    const encoding = detectEncoding(buffer, requestedEncoding);
+    const text = decodeText(buffer, encoding);
+    return { text, format: { ...encoding, lineEnding: detectLineEnding(text) } };
+}
+async function readTextFile(filePath, requestedEncoding = 'auto') {
+    return decodeTextBuffer(await fs.readFile(filePath), requestedEncoding);
+}
+// Returns the number of bytes written
+async function writeTextFile(filePath, text, format) {
+    const data = encodeText(applyLineEnding(text, format.lineEnding), format);
+    await writeFileAtomic(filePath, data, null);
+    return data.length;
+}
+function isDefaultTextFormat(format) {
+    return format.encoding === 'utf-8' && !format.bom && format.lineEnding !== 'crlf';
+}
+function describeTextFormat(format) {
+    return `encoding: ${format.encoding}${format.bom ? ' with BOM' : ''}, line endings: ${format.lineEnding === 'crlf' ? 'CRLF' : 'LF'}`;
+}
+// Works out how write_file stores new content, based on the file it replaces
+async function resolveWriteFormat(filePath, content, { encoding, bom, lineEndings }) {
+    let existing = null;
+    try {
+        existing = (await readTextFile(filePath)).format;
+    }
+    catch {
+        // New file
+    }
+    const keepExisting = existing && (encoding === 'auto' || encoding === existing.encoding);
+    const resolvedEncoding = encoding !== 'auto' ? encoding : existing?.encoding ?? 'utf-8';
+    let lineEnding = null;
+    if (lineEndings !== 'auto') {
+        lineEnding = lineEndings;
+    }
+    else if (existing?.lineEnding === 'crlf' && !content.includes('\r\n')) {
+        lineEnding = 'crlf';
+    }
+    return {
+        encoding: resolvedEncoding,
+        bom: bom ?? (keepExisting ? existing.bom : resolvedEncoding.startsWith('utf-16')),
+        lineEnding,
+    };
+}
+
+// Ranged reading utilities
+function hasReadRange(options) {
+    return ['offset', 'limit', 'head', 'tail', 'maxBytes', 'column'].some(key => options[key] !== undefined);
+}
+async function readFileRange(filePath, options = {}) {
+    const { head, tail, maxBytes } = options;
+    if (head !== undefined && tail !== undefined) {
+        throw new Error("Cannot use 'head' and 'tail' together");
+    }
+    if (tail !== undefined && (options.offset !== undefined || options.limit !== undefined)) {
+        throw new Error("Cannot combine 'tail' with 'offset' or 'limit'");
+    }
+    if (tail !== undefined && options.column !== undefined) {
+        throw new Error("Cannot combine 'tail' with 'column'");
+    }
+    const start = head !== undefined ? 0 : (options.offset ?? 0);
+    const column = options.column ?? 0;
+    const limit = head ?? options.limit ?? Infinity;
+    const format = await sniffTextFormat(filePath, options.encoding);
+    // Stream the file line by line so only the requested window is kept in memory
+    const rl = readline.createInterface({
+        input: createTextStream(filePath, format),
+        crlfDelay: Infinity,
+    });
+    let lines = [];
+    let bytes = 0;
+    let totalLines = 0;
+    let truncated = false;
+    let nextColumn = null;
+    for await (const line of rl) {
+        const index = totalLines++;
+        if (tail !== undefined) {
+            // Keep a sliding window of the last N lines
+            lines.push(line);
+            if (lines.length > tail) {
+                lines.shift();
+            }
+            continue;
+        }
+        if (index < start || truncated || lines.length >= limit) {
+            continue;
+        }
+        const firstColumn = index === start ? Math.min(column, line.length) : 0;
+        const text = line.slice(firstColumn);
+        const lineBytes = Buffer.byteLength(text, 'utf-8') + 1;
+        if (maxBytes !== undefined && bytes + lineBytes > maxBytes) {
+            if (lines.length === 0) {
+                // Always return at least part of the first line so paging makes progress
+                const read = fitToBytes(text, maxBytes);
+                lines.push(text.slice(0, read));
+                if (read < text.length) {
+                    nextColumn = firstColumn + read;
+                }
+            }
+            truncated = true;
             continue;
         }
-        // Otherwise, try line-by-line matching with flexibility for whitespace
-        const oldLines = normalizedOld.split('\n');
-        const contentLines = modifiedContent.split('\n');
-        let matchFound = false;
-        for (let i = 0; i <= contentLines.length - oldLines.length; i++) {
-            const potentialMatch = contentLines.slice(i, i + oldLines.length);
-            // Compare lines with normalized whitespace
-            const isMatch = oldLines.every((oldLine, j) => {
-                const contentLine = potentialMatch[j];
-                return oldLine.trim() === contentLine.trim();
-            });
-            if (isMatch) {
-                // Preserve original indentation of first line
-                const originalIndent = contentLines[i].match(/^\s*/)?.[0] || '';
-                const newLines = normalizedNew.split('\n').map((line, j) => {
-                    if (j === 0)
-                        return originalIndent + line.trimStart();
-                    // For subsequent lines, try to preserve relative indentation
-                    const oldIndent = oldLines[j]?.match(/^\s*/)?.[0] || '';
-                    const newIndent = line.match(/^\s*/)?.[0] || '';
-                    if (oldIndent && newIndent) {
-                        const relativeIndent = newIndent.length - oldIndent.length;
-                        return originalIndent + ' '.repeat(Math.max(0, relativeIndent)) + line.trimStart();
-                    }
-                    return line;
-                });
-                contentLines.splice(i, oldLines.length, ...newLines);
-                modifiedContent = contentLines.join('\n');
-                matchFound = true;
-                break;
+        lines.push(text);
+        bytes += lineBytes;
+    }
+    let startLine = tail !== undefined ? totalLines - lines.length : Math.min(start, totalLines);
+    if (tail !== undefined && maxBytes !== undefined) {
+        // Drop lines from the front until the tail fits the byte budget
+        while (lines.length > 1 && Buffer.byteLength(lines.join('\n'), 'utf-8') > maxBytes) {
+            lines.shift();
+            startLine++;
+            truncated = true;
+        }
+        // A last line longer than the budget is cut like in forward reads
+        const read = lines.length === 1 ? fitToBytes(lines[0], maxBytes) : 0;
+        if (read < (lines[0]?.length ?? 0)) {
+            lines[0] = lines[0].slice(0, read);
+            nextColumn = read;
+            truncated = true;
+        }
+    }
+    const endLine = startLine + lines.length;
+    let nextOffset = tail === undefined && endLine < totalLines ? endLine : null;
+    if (nextColumn !== null) {
+        // The line was cut, so continue within it
+        nextOffset = endLine - 1;
+    }
+    return {
+        format,
+        content: lines.join('\n'),
+        totalLines,
+        startLine,
+        endLine,
+        truncated,
+        nextOffset,
+        nextColumn,
+    };
+}
+// Returns how many UTF-16 code units of text fit in maxBytes of UTF-8 without splitting a
+// character, but at least one character even if it does not fit
+function fitToBytes(text, maxBytes) {
+    const { read } = new TextEncoder().encodeInto(text, new Uint8Array(maxBytes));
+    if (read === 0 && text.length > 0) {
+        return text.codePointAt(0) > 0xffff ? 2 : 1;
+    }
+    return read;
+}
+// Detects the encoding from the start of the file, for reads that stream the rest
+async function sniffTextFormat(filePath, requestedEncoding = 'auto') {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(64 * 1024);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        const sample = buffer.subarray(0, bytesRead);
+        const encoding = detectEncoding(sample, requestedEncoding);
+        return { ...encoding, lineEnding: detectLineEnding(decodeText(sample, encoding)) };
+    }
+    finally {
+        await handle.close();
+    }
+}
+function createTextStream(filePath, format) {
+    const start = format.bom ? BYTE_ORDER_MARKS[format.encoding].length : 0;
+    if (format.encoding === 'utf-16be') {
+        // Node cannot decode big-endian UTF-16 while streaming
+        return Readable.from((async function* () {
+            yield decodeText(await fs.readFile(filePath), format);
+        })());
+    }
+    return createReadStream(filePath, { encoding: format.encoding === 'utf-16le' ? 'utf16le' : format.encoding, start });
+}
+function formatReadRange(result) {
+    const range = result.endLine > result.startLine
+        ? `lines ${result.startLine + 1}-${result.endLine} of ${result.totalLines}`
+        : `no lines returned, file has ${result.totalLines} lines`;
+    const notes = [range];
+    if (result.truncated) {
+        notes.push('truncated by maxBytes');
+    }
+    if (result.nextColumn !== null) {
+        notes.push(`line ${result.endLine} is partial; continue with offset=${result.nextOffset}, column=${result.nextColumn}`);
+    }
+    else if (result.nextOffset !== null) {
+        notes.push(`continue with offset=${result.nextOffset}`);
+    }
+    return `${result.content}\n\n[${notes.join('; ')}]`;
+}
+// Returns the text together with the format it was stored in
+async function readFileContent(filePath, options) {
+    if (!hasReadRange(options)) {
+        const { text, format } = await readTextFile(filePath, options.encoding);
+        return { content: text, format };
+    }
+    const result = await readFileRange(filePath, options);
+    return { content: formatReadRange(result), format: result.format };
+}
+// file editing and diffing utilities
+function normalizeLineEndings(text) {
+    return text.replace(/\r\n/g, '\n');
+}
+function createUnifiedDiff(originalContent, newContent, filepath = 'file') {
+    // Ensure consistent line endings for diff
+    const normalizedOriginal = normalizeLineEndings(originalContent);
+    const normalizedNew = normalizeLineEndings(newContent);
+    return createTwoFilesPatch(filepath, filepath, normalizedOriginal, normalizedNew, 'original', 'modified');
+}
+function lineNumberAt(content, index) {
+    let line = 1;
+    for (let i = content.indexOf('\n'); i !== -1 && i < index; i = content.indexOf('\n', i + 1)) {
+        line++;
+    }
+    return line;
+}
+// Picks which of the found matches an edit applies to, refusing to guess when
+// oldText is ambiguous
+function selectOccurrences(matches, edit, describeLine) {
+    if (edit.replaceAll) {
+        return matches;
+    }
+    if (edit.occurrence !== undefined) {
+        if (edit.occurrence > matches.length) {
+            throw new Error(`Occurrence ${edit.occurrence} requested but only ${matches.length} found for edit:\n${edit.oldText}`);
+        }
+        return [matches[edit.occurrence - 1]];
+    }
+    if (matches.length > 1) {
+        const lines = matches.map(describeLine).join(', ');
+        throw new Error(`Found ${matches.length} occurrences of oldText at lines ${lines}. ` +
+            `Set 'occurrence' to pick one or 'replaceAll' to replace all of them:\n${edit.oldText}`);
+    }
+    return matches;
+}
+function expandReplacement(template, match) {
+    return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, key, name) => {
+        if (key === '$')
+            return '$';
+        if (key === '&')
+            return match[0];
+        if (name !== undefined)
+            return match.groups?.[name] ?? '';
+        return match[Number(key)] ?? token;
+    });
+}
+function applyRegexEdit(content, edit) {
+    let pattern;
+    try {
+        pattern = new RegExp(normalizeLineEndings(edit.oldText), 'gm');
+    }
+    catch (error) {
+        throw new Error(`Invalid regular expression in edit: ${error.message}`);
+    }
+    const matches = [...content.matchAll(pattern)];
+    if (matches.length === 0) {
+        throw new Error(`Could not find a match for regular expression:\n${edit.oldText}`);
+    }
+    const selected = selectOccurrences(matches, edit, match => lineNumberAt(content, match.index));
+    const replacement = normalizeLineEndings(edit.newText);
+    // Splice from the end so earlier indices stay valid
+    let result = content;
+    for (const match of selected.reverse()) {
+        result = result.slice(0, match.index) + expandReplacement(replacement, match) + result.slice(match.index + match[0].length);
+    }
+    return result;
+}
+function applyLineRangeEdit(content, edit) {
+    const contentLines = content.split('\n');
+    const newLines = edit.newText === '' ? [] : normalizeLineEndings(edit.newText).split('\n');
+    if (edit.insertAfterLine !== undefined) {
+        if (edit.insertAfterLine > contentLines.length) {
+            throw new Error(`Cannot insert after line ${edit.insertAfterLine}, file has ${contentLines.length} lines`);
+        }
+        contentLines.splice(edit.insertAfterLine, 0, ...newLines);
+        return contentLines.join('\n');
+    }
+    const endLine = edit.endLine ?? edit.startLine;
+    if (endLine < edit.startLine || endLine > contentLines.length) {
+        throw new Error(`Invalid line range ${edit.startLine}-${endLine}, file has ${contentLines.length} lines`);
+    }
+    contentLines.splice(edit.startLine - 1, endLine - edit.startLine + 1, ...newLines);
+    return contentLines.join('\n');
+}
+function applyTextEdit(content, edit) {
+    const normalizedOld = normalizeLineEndings(edit.oldText);
+    const normalizedNew = normalizeLineEndings(edit.newText);
+    if (normalizedOld === '') {
+        throw new Error('oldText must not be empty');
+    }
+    // If exact matches exist, use them
+    const exactMatches = [];
+    for (let i = content.indexOf(normalizedOld); i !== -1; i = content.indexOf(normalizedOld, i + normalizedOld.length)) {
+        exactMatches.push(i);
+    }
+    if (exactMatches.length > 0) {
+        const selected = selectOccurrences(exactMatches, edit, index => lineNumberAt(content, index));
+        let result = content;
+        for (const index of selected.reverse()) {
+            result = result.slice(0, index) + normalizedNew + result.slice(index + normalizedOld.length);
+        }
+        return result;
+    }
+    // Otherwise, try line-by-line matching with flexibility for whitespace
+    const oldLines = normalizedOld.split('\n');
+    const contentLines = content.split('\n');
+    const lineMatches = [];
+    for (let i = 0; i <= contentLines.length - oldLines.length; i++) {
+        const potentialMatch = contentLines.slice(i, i + oldLines.length);
+        // Compare lines with normalized whitespace
+        const isMatch = oldLines.every((oldLine, j) => {
+            const contentLine = potentialMatch[j];
+            return oldLine.trim() === contentLine.trim();
+        });
+        if (isMatch) {
+            lineMatches.push(i);
+            i += oldLines.length - 1;
+        }
+    }
+    if (lineMatches.length === 0) {
+        throw new Error(`Could not find exact match for edit:\n${edit.oldText}`);
+    }
+    const selected = selectOccurrences(lineMatches, edit, i => i + 1);
+    for (const i of selected.reverse()) {
+        // Preserve original indentation of first line
+        const originalIndent = contentLines[i].match(/^\s*/)?.[0] || '';
+        const newLines = normalizedNew.split('\n').map((line, j) => {
+            if (j === 0)
+                return originalIndent + line.trimStart();
+            // For subsequent lines, try to preserve relative indentation
+            const oldIndent = oldLines[j]?.match(/^\s*/)?.[0] || '';
+            const newIndent = line.match(/^\s*/)?.[0] || '';
+            if (oldIndent && newIndent) {
+                const relativeIndent = newIndent.length - oldIndent.length;
+                return originalIndent + ' '.repeat(Math.max(0, relativeIndent)) + line.trimStart();
+            }
+            return line;
+        });
+        contentLines.splice(i, oldLines.length, ...newLines);
+    }
+    return contentLines.join('\n');
+}
+function applyEdit(content, edit) {
+    const targets = [edit.oldText !== undefined, edit.startLine !== undefined, edit.insertAfterLine !== undefined]
+        .filter(Boolean).length;
+    if (targets !== 1) {
+        throw new Error("Each edit needs exactly one of 'oldText', 'startLine' or 'insertAfterLine'");
+    }
+    if (edit.oldText === undefined) {
+        return applyLineRangeEdit(content, edit);
+    }
+    return edit.regex ? applyRegexEdit(content, edit) : applyTextEdit(content, edit);
+}
+async function applyFileEdits(filePath, edits, dryRun = false) {
+    // Edits work on LF text; the file's encoding, BOM and line endings are restored on write
+    const { text, format } = await readTextFile(filePath);
+    const content = normalizeLineEndings(text);
+    // Apply edits sequentially; line numbers refer to the content after the previous edits
+    let modifiedContent = content;
+    for (const edit of edits) {
+        modifiedContent = applyEdit(modifiedContent, edit);
+    }
+    // Create unified diff
+    const diff = createUnifiedDiff(content, modifiedContent, filePath);
+    if (!dryRun) {
+        await snapshotFile(filePath, 'edit_file');
+        recordAuditBytes(await writeTextFile(filePath, modifiedContent, format));
+    }
+    return formatDiff(diff);
+}
+function formatDiff(diff) {
+    // Format diff with appropriate number of backticks
+    let numBackticks = 3;
+    while (diff.includes('`'.repeat(numBackticks))) {
+        numBackticks++;
+    }
+    return `${'`'.repeat(numBackticks)}diff\n${diff}${'`'.repeat(numBackticks)}\n\n`;
+}
+
+// Trash utilities
+const TRASH_DIR_NAME = 'Trash';
+const TRASH_MANIFEST_NAME = '.trash-manifest.json';
+// Nested roots can have different modes, so the most specific root wins
+function findAllowedRoot(validPath) {
+    return allowedDirectories
+        .filter(dir => isPathInside(validPath, dir))
+        .sort((a, b) => b.length - a.length)[0] ?? null;
+}
+function getTrashDir(root) {
+    return path.join(root, TRASH_DIR_NAME);
+}
+async function getPathSize(targetPath) {
+    const stats = await fs.lstat(targetPath);
+    if (!stats.isDirectory()) {
+        return stats.size;
+    }
+    let total = 0;
+    for (const entry of await fs.readdir(targetPath)) {
+        total += await getPathSize(path.join(targetPath, entry));
+    }
+    return total;
+}
+async function readTrashManifest(trashDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(trashDir, TRASH_MANIFEST_NAME), 'utf-8'));
+    }
+    catch {
+        return [];
+    }
+}
+async function writeTrashManifest(trashDir, entries) {
+    await writeFileAtomic(path.join(trashDir, TRASH_MANIFEST_NAME), JSON.stringify(entries, null, 2));
+}
+// Lists the items in a Trash directory, merged with what the manifest knows about them.
+// Items deleted before the manifest existed are reported without an original path.
+async function listTrashItems(trashDir) {
+    let names;
+    try {
+        names = await fs.readdir(trashDir);
+    }
+    catch {
+        return [];
+    }
+    const manifest = await readTrashManifest(trashDir);
+    const items = [];
+    for (const name of names) {
+        if (name === TRASH_MANIFEST_NAME) {
+            continue;
+        }
+        const recorded = manifest.find(entry => entry.name === name);
+        if (recorded) {
+            items.push(recorded);
+            continue;
+        }
+        const itemPath = path.join(trashDir, name);
+        const stats = await fs.stat(itemPath);
+        items.push({
+            name,
+            originalPath: null,
+            deletedAt: stats.mtime.toISOString(),
+            size: await getPathSize(itemPath),
+            type: stats.isDirectory() ? 'directory' : 'file',
+        });
+    }
+    return items;
+}
+// Copies then removes, so moves work across drives
+async function movePath(source, destination) {
+    const stats = await fs.stat(source);
+    if (stats.isDirectory()) {
+        await fs.cp(source, destination, { recursive: true });
+    }
+    else {
+        await fs.copyFile(source, destination);
+    }
+    await fs.rm(source, { recursive: true, force: true });
+}
+async function pathExists(targetPath) {
+    try {
+        await fs.access(targetPath);
+        return true;
+    }
+    catch {
+        return false;
+    }
+}
+function timestampSuffix(fileName, label = '') {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const ext = path.extname(fileName);
+    const base = path.basename(fileName, ext);
+    return `${base}_${label}${timestamp}${ext}`;
+}
+function formatTrashItem(item) {
+    const origin = item.originalPath ?? 'unknown origin';
+    return `[${item.type === 'directory' ? 'DIR' : 'FILE'}] ${item.name}\n` +
+        `    from: ${origin}\n` +
+        `    deleted: ${item.deletedAt}\n` +
+        `    size: ${item.size} bytes`;
+}
+async function resolveTrashRoots(requestedPath, capability = 'read') {
+    if (requestedPath === undefined) {
+        // Without a path, silently skip roots that do not allow the operation
+        return allowedDirectories.filter(dir => {
+            try {
+                checkPermission(dir, capability);
+                return true;
+            }
+            catch {
+                return false;
+            }
+        });
+    }
+    const validPath = await validatePath(requestedPath, capability);
+    return [findAllowedRoot(validPath)];
+}
+
+// File history utilities
+// Every mutating write first copies the previous content into <root>/.file-history,
+// keeping at most MAX_HISTORY_VERSIONS versions per file
+const HISTORY_DIR_NAME = '.file-history';
+const MAX_HISTORY_VERSIONS = 20;
+const MAX_HISTORY_FILE_SIZE = 10 * 1024 * 1024;
+function getHistoryDir(filePath) {
+    const root = findAllowedRoot(filePath);
+    const relativePath = path.relative(root, filePath);
+    const key = createHash('sha1').update(relativePath).digest('hex');
+    return path.join(root, HISTORY_DIR_NAME, key);
+}
+async function readHistoryIndex(historyDir, filePath) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(historyDir, 'index.json'), 'utf-8'));
+    }
+    catch {
+        return { path: filePath, nextVersion: 1, versions: [] };
+    }
+}
+async function snapshotFile(filePath, reason) {
+    let stats;
+    try {
+        stats = await fs.stat(filePath);
+    }
+    catch {
+        // Nothing to back up for new files
+        return null;
+    }
+    if (!stats.isFile() || stats.size > MAX_HISTORY_FILE_SIZE) {
+        return null;
+    }
+    const historyDir = getHistoryDir(filePath);
+    await fs.mkdir(historyDir, { recursive: true });
+    const index = await readHistoryIndex(historyDir, filePath);
+    const version = index.nextVersion++;
+    await fs.copyFile(filePath, path.join(historyDir, `${version}.bak`));
+    index.versions.push({ version, savedAt: new Date().toISOString(), size: stats.size, reason });
+    // Drop the oldest versions once the limit is reached
+    while (index.versions.length > MAX_HISTORY_VERSIONS) {
+        const dropped = index.versions.shift();
+        await fs.rm(path.join(historyDir, `${dropped.version}.bak`), { force: true });
+    }
+    await writeFileAtomic(path.join(historyDir, 'index.json'), JSON.stringify(index, null, 2));
+    return version;
+}
+async function readFileVersion(filePath, version) {
+    const historyDir = getHistoryDir(filePath);
+    const index = await readHistoryIndex(historyDir, filePath);
+    if (!index.versions.some(entry => entry.version === version)) {
+        throw new Error(`Version ${version} of ${filePath} not found. Use list_file_history to see available versions.`);
+    }
+    return await fs.readFile(path.join(historyDir, `${version}.bak`));
+}
+
+// Git utilities
+// git runs without a shell and only on repositories inside allowed directories. Hooks,
+// fsmonitor and repositories found without a .git directory are switched off; other
+// config can still run programs (filter drivers, textconv), so tools refuse to write
+// inside .git directories, where it would have to be planted.
+const GIT_MAX_OUTPUT = 200000;
+let emptyHooksDir;
+async function runGit(repoPath, gitArgs) {
+    const { execFile } = await import('child_process');
+    const { promisify } = await import('util');
+    const execFileAsync = promisify(execFile);
+    // An empty directory, so no hook runs whatever the repository configures
+    emptyHooksDir ??= fs.mkdtemp(path.join(os.tmpdir(), 'filesystem-mcp-hooks-'));
+    const safetyConfig = [
+        '-c', `core.hooksPath=${await emptyHooksDir}`,
+        '-c', 'core.fsmonitor=false',
+        '-c', 'safe.bareRepository=explicit',
+        '-c', 'core.pager=cat',
+    ];
+    try {
+        const { stdout } = await execFileAsync('git', [...safetyConfig, ...gitArgs], {
+            cwd: repoPath,
+            maxBuffer: 50 * 1024 * 1024,
+            timeout: 30000,
+            env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' },
+        });
+        return stdout;
+    }
+    catch (error) {
+        throw new Error(`git ${gitArgs[0]} failed: ${(error.stderr || error.message).trim()}`);
+    }
+}
+async function resolveRepository(requestedPath, capability = 'read') {
+    const validPath = await validatePath(requestedPath, capability);
+    const stats = await fs.stat(validPath);
+    const cwd = stats.isDirectory() ? validPath : path.dirname(validPath);
+    const topLevel = (await runGit(cwd, ['rev-parse', '--show-toplevel'])).trim();
+    // The whole repository must be accessible, not just the requested path
+    const validTopLevel = await validatePath(path.resolve(topLevel), capability);
+    return validTopLevel;
+}
+// Refs are passed as arguments, so anything that git could read as an option is refused.
+// <rev>:<path> names a file's contents, which would get around the deny rules.
+function validateGitRef(ref) {
+    if (ref.startsWith('-') || /[\s\0:]/.test(ref)) {
+        throw new Error(`Invalid git ref: ${ref}`);
+    }
+    return ref;
+}
+// Commands that would print a blob given its hash get the ref as a commit hash instead
+async function resolveGitCommit(repoPath, ref) {
+    validateGitRef(ref);
+    try {
+        return (await runGit(repoPath, ['rev-parse', '--verify', '--end-of-options', `${ref}^{commit}`])).trim();
+    }
+    catch {
+        throw new Error(`Not a commit: ${ref}`);
+    }
+}
+async function resolveRepoPaths(repoPath, paths) {
+    const resolved = [];
+    for (const requested of paths) {
+        const absolute = path.isAbsolute(requested) ? requested : path.join(repoPath, requested);
+        const validPath = await validatePath(absolute);
+        const relativePath = path.relative(repoPath, validPath);
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            throw new Error(`Path is outside the repository: ${requested}`);
+        }
+        resolved.push(relativePath === '' ? '.' : relativePath);
+    }
+    return resolved;
+}
+// Deny rules cover file contents shown by git too. Lists the files a diff touches and
+// returns exclude pathspecs for the denied ones; renames are listed as a deletion and an
+// addition so both names are checked.
+async function excludeDeniedGitPaths(repoPath, gitArgs, pathArgs) {
+    const output = await runGit(repoPath, [...gitArgs, '--name-only', '--no-renames', '-z', ...pathArgs]);
+    const names = new Set(output.split('\0').filter(Boolean));
+    return [...names]
+        .filter(name => isDeniedPath(path.join(repoPath, name)))
+        .map(name => `:(exclude,literal)${name}`);
+}
+function formatHiddenGitPaths(excludes) {
+    return excludes.length > 0 ? `\n\n[${excludes.length} files matching deny patterns left out]` : '';
+}
+function truncateGitOutput(text) {
+    return text.length > GIT_MAX_OUTPUT
+        ? `${text.slice(0, GIT_MAX_OUTPUT)}\n... output truncated after ${GIT_MAX_OUTPUT} characters`
+        : text;
+}
+function parseGitStatus(output) {
+    const fields = output.split('\0');
+    const status = { branch: null, upstream: null, ahead: 0, behind: 0, files: [] };
+    for (let i = 0; i < fields.length; i++) {
+        const field = fields[i];
+        if (field === '') {
+            continue;
+        }
+        if (field.startsWith('## ')) {
+            const match = field.slice(3).match(/^(.+?)(?:\.\.\.(\S+))?(?: \[(.*)\])?$/);
+            status.branch = match?.[1] ?? null;
+            status.upstream = match?.[2] ?? null;
+            status.ahead = Number(match?.[3]?.match(/ahead (\d+)/)?.[1] ?? 0);
+            status.behind = Number(match?.[3]?.match(/behind (\d+)/)?.[1] ?? 0);
+            continue;
+        }
+        const entry = { path: field.slice(3), index: field[0], workTree: field[1] };
+        if (field[0] === 'R' || field[0] === 'C') {
+            // Renames and copies are followed by the original path
+            entry.originalPath = fields[++i];
+        }
+        status.files.push(entry);
+    }
+    return status;
+}
+const GIT_LOG_FORMAT = '%H%x1f%an%x1f%ae%x1f%aI%x1f%P%x1f%s%x1f%b%x1e';
+function parseGitLog(output) {
+    return output.split('\x1e')
+        .map(record => record.trim())
+        .filter(Boolean)
+        .map(record => {
+        const [hash, author, email, date, parents, subject = '', body = ''] = record.split('\x1f');
+        return { hash, author, email, date, parents: parents ? parents.split(' ') : [], subject, body: body.trim() };
+    });
+}
+function parseNumstat(output) {
+    return output.split('\n').filter(Boolean).map(line => {
+        const [added, deleted, ...file] = line.split('\t');
+        // Binary files report - instead of line counts
+        return { path: file.join('\t'), added: added === '-' ? null : Number(added), deleted: deleted === '-' ? null : Number(deleted) };
+    });
+}
+
+// Command execution utilities
+function isCommandAllowed(command) {
+    const normalize = (name) => {
+        const base = path.basename(name);
+        return process.platform === 'win32' ? base.toLowerCase().replace(/\.(exe|com)$/, '') : base;
+    };
+    return commandAllowlist.some(allowed => {
+        // Entries with a path only allow that exact executable
+        if (allowed.includes('/') || allowed.includes('\\')) {
+            return path.resolve(expandHome(allowed)) === path.resolve(expandHome(command));
+        }
+        return !command.includes('/') && !command.includes('\\') && normalize(allowed) === normalize(command);
+    });
+}
+// Keeps the first and last halves of a stream once it grows past maxBytes
+function createOutputCollector(maxBytes) {
+    const half = Math.floor(maxBytes / 2);
+    const head = [];
+    const tail = [];
+    let headBytes = 0;
+    let tailBytes = 0;
+    let dropped = 0;
+    return {
+        push(chunk) {
+            if (headBytes < half) {
+                const part = chunk.subarray(0, half - headBytes);
+                head.push(part);
+                headBytes += part.length;
+                chunk = chunk.subarray(part.length);
+            }
+            if (chunk.length === 0) {
+                return;
+            }
+            tail.push(chunk);
+            tailBytes += chunk.length;
+            while (tailBytes - tail[0].length >= half) {
+                tailBytes -= tail[0].length;
+                dropped += tail.shift().length;
+            }
+            if (tailBytes > half) {
+                const excess = tailBytes - half;
+                tail[0] = tail[0].subarray(excess);
+                tailBytes -= excess;
+                dropped += excess;
+            }
+        },
+        toString() {
+            const start = Buffer.concat(head).toString('utf-8');
+            const end = Buffer.concat(tail).toString('utf-8');
+            return dropped > 0 ? `${start}\n... ${dropped} bytes truncated ...\n${end}` : start + end;
+        },
+    };
+}
+// Node refuses to start .cmd and .bat files without a shell, which run_command never uses,
+// and does not look for them on PATH either
+async function findBatchFile(command) {
+    if (/\.(bat|cmd)$/i.test(command)) {
+        return command;
+    }
+    const hasPath = command.includes('/') || command.includes('\\');
+    const dirs = hasPath ? [''] : (process.env.PATH ?? '').split(path.delimiter).filter(Boolean);
+    for (const dir of dirs) {
+        for (const extension of ['.cmd', '.bat']) {
+            const candidate = path.join(dir, command + extension);
+            if (await fs.stat(candidate).then(stats => stats.isFile(), () => false)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+async function runCommand(command, commandArgs, cwd, { timeoutMs, maxOutputBytes }) {
+    const { spawn } = await import('child_process');
+    const started = Date.now();
+    const isWindows = process.platform === 'win32';
+    return await new Promise((resolve, reject) => {
+        // Its own process group on POSIX, so a timeout also stops the processes it started
+        const child = spawn(command, commandArgs, {
+            cwd,
+            shell: false,
+            windowsHide: true,
+            detached: !isWindows,
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+        const stdout = createOutputCollector(maxOutputBytes);
+        const stderr = createOutputCollector(maxOutputBytes);
+        let timedOut = false;
+        let settled = false;
+        const timers = [];
+        const killTree = (signal) => {
+            if (isWindows) {
+                spawn('taskkill', ['/pid', String(child.pid), '/t', '/f'], { windowsHide: true, stdio: 'ignore' })
+                    .on('error', () => child.kill());
+                return;
+            }
+            try {
+                process.kill(-child.pid, signal);
+            }
+            catch {
+                child.kill(signal);
+            }
+        };
+        const finish = (exitCode, signal) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            timers.forEach(clearTimeout);
+            resolve({
+                exitCode,
+                signal,
+                timedOut,
+                durationMs: Date.now() - started,
+                stdout: stdout.toString(),
+                stderr: stderr.toString(),
+            });
+        };
+        timers.push(setTimeout(() => {
+            timedOut = true;
+            killTree('SIGTERM');
+            // Give the processes a moment to exit cleanly before forcing them
+            timers.push(setTimeout(() => {
+                killTree('SIGKILL');
+                // A process that left the group can keep the pipes open, so stop waiting for them
+                timers.push(setTimeout(() => {
+                    child.stdout.destroy();
+                    child.stderr.destroy();
+                    finish(child.exitCode, child.signalCode);
+                }, 1000));
+            }, 2000));
+        }, timeoutMs));
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('error', async (error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            timers.forEach(clearTimeout);
+            const batchFile = isWindows ? await findBatchFile(command) : null;
+            if (batchFile) {
+                reject(new Error(`Failed to start ${command}: ${batchFile} is a batch file, which run_command cannot start. ` +
+                    'Run the program it wraps instead, e.g. node with the script npm.cmd calls.'));
+                return;
+            }
+            reject(new Error(`Failed to start ${command}: ${error.message}`));
+        });
+        child.on('close', (exitCode, signal) => finish(exitCode, signal));
+    });
+}
+
+// Audit log utilities
+const MAX_AUDIT_PATHS = 50;
+// Argument fields holding file content are logged as a hash and length only
+const AUDIT_REDACTED_FIELDS = new Set(['content', 'oldText', 'newText', 'patch', 'value']);
+const auditContext = new AsyncLocalStorage();
+function recordAuditPath(resolvedPath) {
+    auditContext.getStore()?.paths.add(resolvedPath);
+}
+function recordAuditBytes(byteCount) {
+    const store = auditContext.getStore();
+    if (store) {
+        store.bytesWritten += byteCount;
+    }
+}
+function redactAuditArguments(value, key) {
+    if (value !== undefined && AUDIT_REDACTED_FIELDS.has(key)) {
+        // Structured values such as update_structured_file's are hashed as JSON
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return { redacted: true, length: text.length, sha256: createHash('sha256').update(text).digest('hex') };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactAuditArguments(item));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactAuditArguments(v, k)]));
+    }
+    return value;
+}
+// Runs a tool call and appends one JSONL entry describing it; a failing log never fails the call
+async function withAuditLog(name, args, handler) {
+    if (!auditLogPath) {
+        return await handler();
+    }
+    const store = { paths: new Set(), bytesWritten: 0 };
+    const startedAt = Date.now();
+    const result = await auditContext.run(store, handler);
+    const paths = [...store.paths];
+    const entry = {
+        timestamp: new Date(startedAt).toISOString(),
+        tool: name,
+        arguments: redactAuditArguments(args ?? {}),
+        paths: paths.slice(0, MAX_AUDIT_PATHS),
+        ...(paths.length > MAX_AUDIT_PATHS ? { pathCount: paths.length } : {}),
+        result: result.isError ? 'error' : 'ok',
+        ...(result.isError ? { error: result.content?.[0]?.text?.replace(/^Error: /, '') } : {}),
+        bytesWritten: store.bytesWritten,
+        durationMs: Date.now() - startedAt,
+    };
+    try {
+        await fs.mkdir(path.dirname(auditLogPath), { recursive: true });
+        await fs.appendFile(auditLogPath, JSON.stringify(entry) + '\n', 'utf-8');
+    }
+    catch (error) {
+        console.error(`Failed to write audit log ${auditLogPath}:`, error);
+    }
+    return result;
+}
+function parseAuditTime(value, field) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${field} timestamp: ${value}`);
+    }
+    return time;
+}
+async function queryAuditLog({ tool, path: requestedPath, since, until, errorsOnly, limit }) {
+    const sinceTime = since !== undefined ? parseAuditTime(since, 'since') : null;
+    const untilTime = until !== undefined ? parseAuditTime(until, 'until') : null;
+    // The path may no longer exist, so it is only normalized, not validated
+    const filterPath = requestedPath !== undefined ? normalizePath(path.resolve(expandHome(requestedPath))) : null;
+    const matches = [];
+    const rl = readline.createInterface({
+        input: createReadStream(auditLogPath, { encoding: 'utf-8' }),
+        crlfDelay: Infinity,
+    });
+    for await (const line of rl) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        }
+        catch {
+            // Skip a line cut short by a crash
+            continue;
+        }
+        const time = Date.parse(entry.timestamp);
+        if ((tool && entry.tool !== tool) ||
+            (errorsOnly && entry.result !== 'error') ||
+            (sinceTime !== null && time < sinceTime) ||
+            (untilTime !== null && time >= untilTime) ||
+            (filterPath && !entry.paths.some(entryPath => isPathInside(entryPath, filterPath)))) {
+            continue;
+        }
+        matches.push(entry);
+        if (matches.length > limit) {
+            matches.shift();
+        }
+    }
+    return matches;
+}
+function formatAuditEntry(entry) {
+    const lines = [`${entry.timestamp} ${entry.tool} ${entry.result}` +
+            (entry.bytesWritten ? ` (${entry.bytesWritten} bytes written)` : '')];
+    if (entry.paths.length > 0) {
+        const more = entry.pathCount ? ` and ${entry.pathCount - entry.paths.length} more` : '';
+        lines.push(`    paths: ${entry.paths.join(', ')}${more}`);
+    }
+    lines.push(`    arguments: ${JSON.stringify(entry.arguments)}`);
+    if (entry.error) {
+        lines.push(`    error: ${entry.error}`);
+    }
+    return lines.join('\n');
+}
+
+// Directory watch utilities
+// Native watch events only trigger a rescan; changes are found by comparing snapshots,
+// which also makes the polling fallback behave exactly like native watching
+const MAX_WATCHES = 20;
+const MAX_WATCH_ENTRIES = 50000;
+const MAX_WATCH_EVENTS = 10000;
+const watches = new Map();
+let nextWatchId = 1;
+async function snapshotDirectory(rootPath, options) {
+    const snapshot = new Map();
+    // The walker skips entries whose visit throws, so the error is raised again after the walk
+    let limitError = null;
+    await walkDirectory(rootPath, options, async (entry, fullPath, relativePath) => {
+        if (!limitError && snapshot.size >= MAX_WATCH_ENTRIES) {
+            limitError = new Error(`Too many entries to watch under ${rootPath}, narrow the path or add excludePatterns`);
+        }
+        if (limitError) {
+            // Throwing also keeps the walker from descending any further
+            throw limitError;
+        }
+        try {
+            const stats = await fs.lstat(fullPath);
+            snapshot.set(relativePath.split(path.sep).join('/'), {
+                isDirectory: stats.isDirectory(),
+                size: stats.size,
+                mtimeMs: stats.mtimeMs,
+                ino: stats.ino,
+            });
+        }
+        catch {
+            // Removed while scanning, the next scan reports it
+        }
+    });
+    if (limitError) {
+        throw limitError;
+    }
+    return snapshot;
+}
+// Pairs deletions with creations of the same inode as renames; children of a renamed
+// directory are folded into the directory's rename
+function diffSnapshots(before, after) {
+    const created = [...after.keys()].filter(p => !before.has(p));
+    const deleted = [...before.keys()].filter(p => !after.has(p));
+    const modified = [...after.keys()].filter(p => {
+        const old = before.get(p);
+        const current = after.get(p);
+        return old && !current.isDirectory && !old.isDirectory &&
+            (old.mtimeMs !== current.mtimeMs || old.size !== current.size);
+    });
+    const renames = [];
+    const createdByInode = new Map(created.filter(p => after.get(p).ino).map(p => [after.get(p).ino, p]));
+    for (const oldPath of deleted) {
+        const newPath = createdByInode.get(before.get(oldPath).ino);
+        if (newPath && after.get(newPath).isDirectory === before.get(oldPath).isDirectory) {
+            renames.push({ oldPath, newPath, isDirectory: before.get(oldPath).isDirectory });
+            createdByInode.delete(before.get(oldPath).ino);
+        }
+    }
+    const renamedDirs = renames.filter(rename => rename.isDirectory);
+    const isUnder = (p, dir) => p.startsWith(dir + '/');
+    const changes = [];
+    for (const rename of renames) {
+        if (!renamedDirs.some(dir => isUnder(rename.oldPath, dir.oldPath))) {
+            changes.push({ type: 'renamed', path: rename.newPath, oldPath: rename.oldPath, isDirectory: rename.isDirectory });
+        }
+    }
+    const renamedOld = new Set(renames.map(rename => rename.oldPath));
+    const renamedNew = new Set(renames.map(rename => rename.newPath));
+    for (const p of created) {
+        if (!renamedNew.has(p) && !renamedDirs.some(dir => isUnder(p, dir.newPath))) {
+            changes.push({ type: 'created', path: p, isDirectory: after.get(p).isDirectory });
+        }
+    }
+    for (const p of modified) {
+        changes.push({ type: 'modified', path: p, isDirectory: false });
+    }
+    for (const p of deleted) {
+        if (!renamedOld.has(p) && !renamedDirs.some(dir => isUnder(p, dir.oldPath))) {
+            changes.push({ type: 'deleted', path: p, isDirectory: before.get(p).isDirectory });
+        }
+    }
+    return changes;
+}
+function recordWatchChanges(watch, changes) {
+    const time = new Date().toISOString();
+    for (const change of changes) {
+        watch.events.push({ seq: watch.nextSeq++, time, ...change });
+    }
+    if (watch.events.length > MAX_WATCH_EVENTS) {
+        watch.events.splice(0, watch.events.length - MAX_WATCH_EVENTS);
+    }
+}
+// Scans are serialized per watch so overlapping triggers never diff against a stale snapshot
+function rescanWatch(watch) {
+    watch.scanning = watch.scanning.then(async () => {
+        try {
+            const snapshot = await snapshotDirectory(watch.path, watch.options);
+            recordWatchChanges(watch, diffSnapshots(watch.snapshot, snapshot));
+            watch.snapshot = snapshot;
+            watch.lastError = null;
+        }
+        catch (error) {
+            watch.lastError = error.message;
+        }
+    });
+    return watch.scanning;
+}
+function startPolling(watch) {
+    watch.mode = 'polling';
+    watch.timer = setInterval(() => rescanWatch(watch), watch.pollIntervalMs);
+    watch.timer.unref?.();
+}
+function startNativeWatch(watch) {
+    try {
+        watch.watcher = watchFs(watch.path, { recursive: true }, () => {
+            clearTimeout(watch.debounceTimer);
+            watch.debounceTimer = setTimeout(() => rescanWatch(watch), watch.debounceMs);
+        });
+    }
+    catch {
+        // Recursive watching is missing on some platforms and Node versions
+        startPolling(watch);
+        return;
+    }
+    watch.mode = 'native';
+    watch.watcher.on('error', () => {
+        watch.watcher.close();
+        watch.watcher = null;
+        startPolling(watch);
+    });
+}
+async function createWatch(validPath, { excludePatterns, respectGitignore, debounceMs, pollIntervalMs, usePolling }) {
+    if (watches.size >= MAX_WATCHES) {
+        throw new Error(`Too many active watches (${MAX_WATCHES}), stop one with unwatch_directory first`);
+    }
+    const options = { excludePatterns, respectGitignore };
+    const watch = {
+        id: `watch-${nextWatchId++}`,
+        path: validPath,
+        options,
+        debounceMs,
+        pollIntervalMs,
+        snapshot: await snapshotDirectory(validPath, options),
+        events: [],
+        nextSeq: 1,
+        scanning: Promise.resolve(),
+        lastError: null,
+    };
+    if (usePolling) {
+        startPolling(watch);
+    }
+    else {
+        startNativeWatch(watch);
+    }
+    watches.set(watch.id, watch);
+    return watch;
+}
+function stopWatch(watch) {
+    watch.watcher?.close();
+    clearInterval(watch.timer);
+    clearTimeout(watch.debounceTimer);
+    watches.delete(watch.id);
+}
+function getWatch(watchId) {
+    const watch = watches.get(watchId);
+    if (!watch) {
+        throw new Error(`Unknown watch: ${watchId}. Active watches: ${[...watches.keys()].join(', ') || 'none'}`);
+    }
+    return watch;
+}
+function formatWatchChange(change) {
+    const kind = change.isDirectory ? 'directory' : 'file';
+    return change.type === 'renamed'
+        ? `${change.seq} ${change.time} renamed ${kind} ${change.oldPath} -> ${change.path}`
+        : `${change.seq} ${change.time} ${change.type} ${kind} ${change.path}`;
+}
+
+// Archive utilities
+// zip, tar and tar.gz are read and written with zlib only; archives are handled in memory,
+// so the size limits below also bound memory use
+const CRC32_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+function archiveFormatFromName(fileName) {
+    const lower = fileName.toLowerCase();
+    if (lower.endsWith('.zip')) {
+        return 'zip';
+    }
+    if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) {
+        return 'tar.gz';
+    }
+    if (lower.endsWith('.tar')) {
+        return 'tar';
+    }
+    return null;
+}
+function detectArchiveFormat(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50 || buffer.length >= 4 && buffer.readUInt32LE(0) === 0x06054b50) {
+        return 'zip';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return 'tar.gz';
+    }
+    if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') {
+        return 'tar';
+    }
+    return null;
+}
+function checkArchiveLimits(entries, { maxEntries, maxTotalBytes }) {
+    if (entries.length > maxEntries) {
+        throw new Error(`Archive has ${entries.length} entries, more than maxEntries (${maxEntries})`);
+    }
+    const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (totalBytes > maxTotalBytes) {
+        throw new Error(`Archive unpacks to ${totalBytes} bytes, more than maxTotalBytes (${maxTotalBytes})`);
+    }
+}
+// Zip reading: entries come from the central directory, data is inflated lazily
+function readZipEntries(buffer) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Not a zip archive: end of central directory not found');
+    }
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (count === 0xffff || offset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Corrupt zip archive: bad central directory entry');
+        }
+        const versionMadeBy = buffer.readUInt16LE(offset + 4);
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const dosTime = buffer.readUInt16LE(offset + 12);
+        const dosDate = buffer.readUInt16LE(offset + 14);
+        const crc = buffer.readUInt32LE(offset + 16);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const externalAttributes = buffer.readUInt32LE(offset + 38);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & 0x800 ? 'utf-8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+        // Unix permissions live in the upper half of the external attributes
+        const unixMode = versionMadeBy >> 8 === 3 ? externalAttributes >>> 16 : 0;
+        const isSymlink = (unixMode & 0o170000) === 0o120000;
+        const type = name.endsWith('/') ? 'directory' : isSymlink ? 'symlink' : 'file';
+        entries.push({
+            name,
+            type,
+            size: type === 'directory' ? 0 : size,
+            mode: unixMode & 0o777 || undefined,
+            mtime: new Date(1980 + (dosDate >> 9), ((dosDate >> 5) & 0xf) - 1, dosDate & 0x1f,
+                dosTime >> 11, (dosTime >> 5) & 0x3f, (dosTime & 0x1f) * 2),
+            readData: () => {
+                if (flags & 0x1) {
+                    throw new Error(`${name} is encrypted`);
+                }
+                const localNameLength = buffer.readUInt16LE(localOffset + 26);
+                const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+                const start = localOffset + 30 + localNameLength + localExtraLength;
+                const raw = buffer.subarray(start, start + compressedSize);
+                let data;
+                if (method === 0) {
+                    data = raw;
+                }
+                else if (method === 8) {
+                    // Never inflate past the declared size, whatever the entry claims
+                    data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+                }
+                else {
+                    throw new Error(`${name} uses unsupported compression method ${method}`);
+                }
+                if (data.length !== size || crc32(data) !== crc) {
+                    throw new Error(`${name} is corrupt: size or checksum mismatch`);
+                }
+                return data;
+            },
+        });
+    }
+    return entries;
+}
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+function writeZip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const name = Buffer.from(entry.type === 'directory' ? `${entry.name}/` : entry.name, 'utf-8');
+        const data = entry.data ?? Buffer.alloc(0);
+        const deflated = data.length > 0 ? zlib.deflateRawSync(data) : data;
+        // Store entries that do not get smaller
+        const method = deflated.length < data.length ? 8 : 0;
+        const stored = method === 8 ? deflated : data;
+        const crc = crc32(data);
+        const { time, date } = toDosDateTime(entry.mtime);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x800, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE((3 << 8) | 20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        const typeBits = entry.type === 'directory' ? 0o040000 : 0o100000;
+        central.writeUInt32LE((((typeBits | entry.mode) << 16) | (entry.type === 'directory' ? 0x10 : 0)) >>> 0, 38);
+        central.writeUInt32LE(offset, 42);
+        localParts.push(local, name, stored);
+        centralParts.push(central, name);
+        offset += local.length + name.length + stored.length;
+    }
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    if (offset > 0xffffffff || entries.length > 0xfffe) {
+        throw new Error('Archive too large for zip without ZIP64, use tar.gz instead');
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+// Tar reading, with pax and GNU long names
+function parseTarNumber(buffer, start, length) {
+    // Base-256 encoding is used for values that do not fit in octal
+    if (buffer[start] & 0x80) {
+        let value = 0;
+        for (let i = start + 1; i < start + length; i++) {
+            value = value * 256 + buffer[i];
+        }
+        return value;
+    }
+    const text = buffer.toString('latin1', start, start + length).replace(/\0.*$/, '').trim();
+    return text ? parseInt(text, 8) : 0;
+}
+function tarString(buffer, start, length) {
+    const end = buffer.indexOf(0, start);
+    return buffer.toString('utf-8', start, end === -1 || end > start + length ? start + length : end);
+}
+function parsePaxRecords(text) {
+    const records = {};
+    let rest = text;
+    while (rest.length > 0) {
+        const space = rest.indexOf(' ');
+        const length = parseInt(rest.slice(0, space), 10);
+        if (!length) {
+            break;
+        }
+        const record = rest.slice(space + 1, length - 1);
+        const equals = record.indexOf('=');
+        records[record.slice(0, equals)] = record.slice(equals + 1);
+        rest = rest.slice(length);
+    }
+    return records;
+}
+function readTarEntries(buffer) {
+    const entries = [];
+    let offset = 0;
+    let pax = {};
+    let longName = null;
+    let longLink = null;
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) {
+            break;
+        }
+        const size = parseTarNumber(header, 124, 12);
+        const typeFlag = String.fromCharCode(header[156] || 0x30);
+        const dataStart = offset + 512;
+        const data = buffer.subarray(dataStart, dataStart + size);
+        offset = dataStart + Math.ceil(size / 512) * 512;
+        if (typeFlag === 'x') {
+            pax = parsePaxRecords(data.toString('utf-8'));
+            continue;
+        }
+        if (typeFlag === 'g') {
+            continue;
+        }
+        if (typeFlag === 'L' || typeFlag === 'K') {
+            const value = data.toString('utf-8').replace(/\0+$/, '');
+            typeFlag === 'L' ? longName = value : longLink = value;
+            continue;
+        }
+        const prefix = buffer.toString('latin1', dataStart - 512 + 257, dataStart - 512 + 262) === 'ustar' ? tarString(header, 345, 155) : '';
+        const headerName = tarString(header, 0, 100);
+        const name = pax.path ?? longName ?? (prefix ? `${prefix}/${headerName}` : headerName);
+        const linkName = pax.linkpath ?? longLink ?? tarString(header, 157, 100);
+        const entrySize = pax.size !== undefined ? Number(pax.size) : size;
+        const type = typeFlag === '5' ? 'directory' : typeFlag === '2' ? 'symlink' : typeFlag === '1' ? 'hardlink' :
+            typeFlag === '0' || typeFlag === '7' ? 'file' : 'other';
+        entries.push({
+            name: name.replace(/\/$/, ''),
+            type,
+            size: type === 'file' ? entrySize : 0,
+            mode: parseTarNumber(header, 100, 8) & 0o777 || undefined,
+            mtime: new Date((pax.mtime !== undefined ? Number(pax.mtime) : parseTarNumber(header, 136, 12)) * 1000),
+            linkName,
+            readData: () => data,
+        });
+        pax = {};
+        longName = null;
+        longLink = null;
+    }
+    return entries;
+}
+function writeTarHeader(fields) {
+    const header = Buffer.alloc(512);
+    const writeString = (value, start, length) => header.write(value, start, length, 'utf-8');
+    const writeOctal = (value, start, length) => writeString(value.toString(8).padStart(length - 1, '0'), start, length - 1);
+    writeString(fields.name, 0, 100);
+    writeOctal(fields.mode, 100, 8);
+    writeOctal(0, 108, 8);
+    writeOctal(0, 116, 8);
+    writeOctal(fields.size, 124, 12);
+    writeOctal(Math.floor(fields.mtime.getTime() / 1000), 136, 12);
+    header.write(fields.typeFlag, 156, 1, 'latin1');
+    writeString('ustar\0', 257, 6);
+    writeString('00', 263, 2);
+    // The checksum is computed with its own field filled with spaces
+    header.fill(0x20, 148, 156);
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    writeString(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+    return header;
+}
+function tarPadding(size) {
+    return Buffer.alloc((512 - (size % 512)) % 512);
+}
+function writeTar(entries) {
+    const parts = [];
+    for (const entry of entries) {
+        const name = entry.type === 'directory' ? `${entry.name}/` : entry.name;
+        const data = entry.data ?? Buffer.alloc(0);
+        // Names that do not fit the header go into a pax record
+        if (Buffer.byteLength(name) > 99) {
+            // The record length includes its own digits
+            const record = ` path=${name}\n`;
+            const base = Buffer.byteLength(record);
+            let length = base;
+            while (base + String(length).length !== length) {
+                length = base + String(length).length;
+            }
+            const paxData = Buffer.from(`${length}${record}`, 'utf-8');
+            parts.push(writeTarHeader({ name: 'PaxHeader', mode: 0o644, size: paxData.length, mtime: entry.mtime, typeFlag: 'x' }),
+                paxData, tarPadding(paxData.length));
+        }
+        parts.push(writeTarHeader({
+            name: Buffer.from(name).subarray(0, 99).toString('utf-8'),
+            mode: entry.mode,
+            size: data.length,
+            mtime: entry.mtime,
+            typeFlag: entry.type === 'directory' ? '5' : '0',
+        }), data, tarPadding(data.length));
+    }
+    parts.push(Buffer.alloc(1024));
+    return Buffer.concat(parts);
+}
+async function readArchive(archivePath, format, limits) {
+    // Headers and padding add up to 1 KiB per entry on top of the content
+    const maxArchiveBytes = limits.maxTotalBytes + (limits.maxEntries + 2) * 1024;
+    // Refuse oversized archives before reading them into memory
+    const { size } = await fs.stat(archivePath);
+    if (size > maxArchiveBytes) {
+        throw new Error(`Archive is ${size} bytes, more than maxTotalBytes (${limits.maxTotalBytes}) allows`);
+    }
+    const buffer = await fs.readFile(archivePath);
+    const actualFormat = format ?? detectArchiveFormat(buffer) ?? archiveFormatFromName(archivePath);
+    if (!actualFormat) {
+        throw new Error(`Unknown archive format: ${archivePath}. Pass format 'zip', 'tar' or 'tar.gz'`);
+    }
+    if (actualFormat === 'zip') {
+        return { format: actualFormat, entries: readZipEntries(buffer) };
+    }
+    let tarBuffer = buffer;
+    if (actualFormat === 'tar.gz') {
+        try {
+            tarBuffer = zlib.gunzipSync(buffer, { maxOutputLength: maxArchiveBytes });
+        }
+        catch (error) {
+            throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+                ? `Archive unpacks to more than maxTotalBytes (${limits.maxTotalBytes})`
+                : `Cannot decompress ${archivePath}: ${error.message}`);
+        }
+    }
+    return { format: actualFormat, entries: readTarEntries(tarBuffer) };
+}
+// Rejects absolute names and names climbing out of the destination before any path
+// is built from them (zip-slip)
+function safeArchiveEntryName(name) {
+    const normalized = name.replace(/\\/g, '/');
+    const segments = normalized.split('/').filter(segment => segment !== '' && segment !== '.');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || segments.includes('..') || segments.length === 0) {
+        throw new Error(`Unsafe entry name in archive: ${name}`);
+    }
+    return segments.join(path.sep);
+}
+// Collects files and directories for a new archive; entry names start with the
+// source's own name so sources from different places do not collide
+async function collectArchiveEntries(sourcePaths, { excludePatterns, respectGitignore, outputPath }, limits) {
+    const entries = [];
+    let totalBytes = 0;
+    // The walker skips entries whose visit throws, so a limit error is raised again after the walk
+    let limitError = null;
+    async function addEntry(fullPath, name) {
+        if (fullPath === outputPath) {
+            return;
+        }
+        const stats = await fs.stat(fullPath);
+        if (entries.length >= limits.maxEntries) {
+            limitError = new Error(`More than maxEntries (${limits.maxEntries}) entries to archive`);
+            throw limitError;
+        }
+        const entry = { name: name.split(path.sep).join('/'), mode: stats.mode & 0o777, mtime: stats.mtime };
+        if (stats.isDirectory()) {
+            entries.push({ ...entry, type: 'directory' });
+            return;
+        }
+        totalBytes += stats.size;
+        if (totalBytes > limits.maxTotalBytes) {
+            limitError = new Error(`More than maxTotalBytes (${limits.maxTotalBytes}) to archive`);
+            throw limitError;
+        }
+        entries.push({ ...entry, type: 'file', data: await fs.readFile(fullPath) });
+    }
+    for (const sourcePath of sourcePaths) {
+        const baseName = path.basename(sourcePath);
+        await addEntry(sourcePath, baseName);
+        if (!(await fs.stat(sourcePath)).isDirectory()) {
+            continue;
+        }
+        await walkDirectory(sourcePath, { excludePatterns, respectGitignore }, async (entry, fullPath, relativePath) => {
+            if (limitError) {
+                // Throwing also keeps the walker from descending any further
+                throw limitError;
+            }
+            // Symlinked directories are not followed, the walker does not descend into them either
+            if (entry.isSymbolicLink() && (await fs.stat(fullPath)).isDirectory()) {
+                return;
+            }
+            await addEntry(fullPath, path.join(baseName, relativePath));
+        });
+        if (limitError) {
+            throw limitError;
+        }
+    }
+    return entries;
+}
+// Checks every entry first, so nothing is written unless the whole archive is safe
+async function planArchiveExtraction(entries, destination, onConflict) {
+    const plan = [];
+    const skipped = [];
+    for (const entry of entries) {
+        const relativeName = safeArchiveEntryName(entry.name);
+        const targetPath = path.join(destination, relativeName);
+        if (!isPathInside(targetPath, destination)) {
+            throw new Error(`Unsafe entry name in archive: ${entry.name}`);
+        }
+        if (entry.type === 'hardlink' || entry.type === 'other') {
+            skipped.push(`${entry.name} (${entry.type} entries are not extracted)`);
+            continue;
+        }
+        const denyRule = findDenyRule(normalizePath(targetPath));
+        if (denyRule) {
+            skipped.push(`${entry.name} (matches deny pattern "${denyRule.pattern}")`);
+            continue;
+        }
+        if (isGitMetadataPath(targetPath)) {
+            skipped.push(`${entry.name} (inside a .git directory)`);
+            continue;
+        }
+        if (entry.type === 'symlink') {
+            const linkTarget = entry.linkName ?? entry.readData().toString('utf-8');
+            if (path.isAbsolute(linkTarget) || !isPathInside(path.resolve(path.dirname(targetPath), linkTarget), destination)) {
+                skipped.push(`${entry.name} (symlink pointing outside the destination: ${linkTarget})`);
+                continue;
+            }
+            entry.linkName = linkTarget;
+        }
+        const validTarget = await validateNewPath(targetPath, 'write');
+        const exists = await fs.lstat(validTarget).then(() => true, () => false);
+        if (exists && entry.type !== 'directory') {
+            if (onConflict === 'fail') {
+                throw new Error(`${validTarget} already exists. Use onConflict 'skip' or 'overwrite'.`);
+            }
+            if (onConflict === 'skip') {
+                skipped.push(`${entry.name} (already exists)`);
+                continue;
+            }
+        }
+        plan.push({ entry, targetPath: validTarget });
+    }
+    return { plan, skipped };
+}
+async function extractArchiveEntries(plan, destination) {
+    let bytesWritten = 0;
+    const realDestination = normalizePath(await fs.realpath(destination));
+    for (const { entry, targetPath } of plan) {
+        // Earlier entries may have created symlinks, so resolve the parent again
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        const realParent = await fs.realpath(path.dirname(targetPath));
+        if (!isPathInside(normalizePath(realParent), realDestination)) {
+            throw new Error(`Access denied - ${entry.name} would be written outside the destination through a symlink`);
+        }
+        if (entry.type === 'directory') {
+            await fs.mkdir(targetPath, { recursive: true });
+            continue;
+        }
+        await fs.rm(targetPath, { force: true });
+        if (entry.type === 'symlink') {
+            await fs.symlink(entry.linkName, targetPath);
+            continue;
+        }
+        const data = entry.readData();
+        await fs.writeFile(targetPath, data);
+        bytesWritten += data.length;
+        if (entry.mode) {
+            await fs.chmod(targetPath, entry.mode);
+        }
+        if (!Number.isNaN(entry.mtime.getTime())) {
+            await fs.utimes(targetPath, entry.mtime, entry.mtime);
+        }
+    }
+    return bytesWritten;
+}
+function formatArchiveEntry(entry) {
+    const isLink = entry.type === 'symlink' || entry.type === 'hardlink';
+    const label = entry.type === 'directory' ? '[DIR]' : isLink ? '[LINK]' : entry.type === 'other' ? '[OTHER]' : '[FILE]';
+    // Zip stores the link target as the entry's content
+    const linkName = isLink ? entry.linkName ?? entry.readData().toString('utf-8') : null;
+    const detail = linkName !== null ? ` -> ${linkName}` : entry.type === 'directory' ? '' : ` (${entry.size} bytes)`;
+    return `${label} ${entry.name}${detail}`;
+}
+
+// Checksum utilities
+// Manifests use the sha256sum/md5sum format so they can also be checked with those tools
+const HASH_LENGTH_ALGORITHMS = { 32: 'md5', 40: 'sha1', 64: 'sha256' };
+async function computeChecksums(validPath, { algorithm, excludePatterns, respectGitignore }, outputPath) {
+    const stats = await fs.stat(validPath);
+    if (!stats.isDirectory()) {
+        return [{ hash: await hashFile(validPath, algorithm), path: path.basename(validPath) }];
+    }
+    const files = [];
+    await walkDirectory(validPath, { excludePatterns, respectGitignore }, async (entry, fullPath, relativePath) => {
+        // A manifest written inside the tree would never match itself
+        if (entry.isFile() && fullPath !== outputPath) {
+            files.push({ fullPath, path: relativePath.split(path.sep).join('/') });
+        }
+    });
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    const checksums = [];
+    for (const file of files) {
+        checksums.push({ hash: await hashFile(file.fullPath, algorithm), path: file.path });
+    }
+    return checksums;
+}
+function formatChecksumManifest(checksums) {
+    return checksums.map(({ hash, path: filePath }) => `${hash}  ${filePath}`).join('\n');
+}
+function parseChecksumManifest(text) {
+    const entries = [];
+    for (const [index, line] of text.split(/\r?\n/).entries()) {
+        if (line.trim() === '' || line.startsWith('#')) {
+            continue;
+        }
+        // A '*' before the path marks binary mode, which makes no difference here
+        const match = /^([0-9a-fA-F]+) [ *](.+)$/.exec(line);
+        if (!match) {
+            throw new Error(`Invalid manifest line ${index + 1}: ${line}`);
+        }
+        entries.push({ hash: match[1].toLowerCase(), path: match[2] });
+    }
+    return entries;
+}
+async function verifyChecksums(entries, basePath, algorithm) {
+    const results = { ok: [], failed: [], missing: [] };
+    for (const entry of entries) {
+        const entryAlgorithm = algorithm ?? HASH_LENGTH_ALGORITHMS[entry.hash.length];
+        if (!entryAlgorithm) {
+            throw new Error(`Cannot tell the algorithm of the hash for ${entry.path}, pass algorithm`);
+        }
+        let validPath;
+        try {
+            validPath = await validatePath(path.resolve(basePath, entry.path));
+        }
+        catch (error) {
+            results.missing.push(`${entry.path} (${error.message})`);
+            continue;
+        }
+        if (!await pathExists(validPath)) {
+            results.missing.push(entry.path);
+            continue;
+        }
+        const actual = await hashFile(validPath, entryAlgorithm);
+        if (actual === entry.hash) {
+            results.ok.push(entry.path);
+        }
+        else {
+            results.failed.push(`${entry.path} (expected ${entry.hash}, got ${actual})`);
+        }
+    }
+    return results;
+}
+// Groups files by size first, so only files sharing a size are hashed
+async function findDuplicateFiles(rootPath, { excludePatterns, respectGitignore, minSize }) {
+    const bySize = new Map();
+    await walkDirectory(rootPath, { excludePatterns, respectGitignore }, async (entry, fullPath) => {
+        if (!entry.isFile()) {
+            return;
+        }
+        const { size } = await fs.stat(fullPath);
+        if (size < minSize) {
+            return;
+        }
+        if (!bySize.has(size)) {
+            bySize.set(size, []);
+        }
+        bySize.get(size).push(fullPath);
+    });
+    const groups = [];
+    let hashedFiles = 0;
+    for (const [size, files] of bySize) {
+        if (files.length < 2) {
+            continue;
+        }
+        const byHash = new Map();
+        for (const filePath of files) {
+            const hash = await hashFile(filePath);
+            hashedFiles++;
+            if (!byHash.has(hash)) {
+                byHash.set(hash, []);
+            }
+            byHash.get(hash).push(filePath);
+        }
+        for (const [hash, paths] of byHash) {
+            if (paths.length > 1) {
+                groups.push({ size, hash, paths: paths.sort() });
+            }
+        }
+    }
+    // Largest savings first
+    groups.sort((a, b) => b.size * (b.paths.length - 1) - a.size * (a.paths.length - 1));
+    return { groups, hashedFiles };
+}
+
+// Disk usage utilities
+function formatByteSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${bytes} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+// Roots on the same volume share one entry, recognized by their device id
+async function getVolumeInfo(roots) {
+    const volumes = new Map();
+    for (const root of roots) {
+        try {
+            const { dev } = await fs.stat(root);
+            if (volumes.has(dev)) {
+                volumes.get(dev).roots.push(root);
+                continue;
+            }
+            const stats = await fs.statfs(root);
+            const totalBytes = stats.bsize * stats.blocks;
+            const freeBytes = stats.bsize * stats.bavail;
+            volumes.set(dev, { roots: [root], totalBytes, freeBytes });
+        }
+        catch (error) {
+            volumes.set(root, { roots: [root], error: error.message });
+        }
+    }
+    return [...volumes.values()];
+}
+function formatVolumeInfo(volume) {
+    if (volume.error) {
+        return `Drive Info for ${volume.roots.join(', ')}\n    Error checking disk space: ${volume.error}`;
+    }
+    const toGB = bytes => (bytes / 1024 / 1024 / 1024).toFixed(2);
+    const usedBytes = volume.totalBytes - volume.freeBytes;
+    return `Drive Info for ${volume.roots.join(', ')}\n` +
+        `    Total Size: ${toGB(volume.totalBytes)} GB\n` +
+        `    Free Space: ${toGB(volume.freeBytes)} GB\n` +
+        `    Used Space: ${toGB(usedBytes)} GB\n` +
+        `    Used: ${((usedBytes / volume.totalBytes) * 100).toFixed(2)}%`;
+}
+// Sizes are apparent file sizes; symlinks count as links and are not followed
+async function analyzeDiskUsage(rootPath, { maxDepth, excludePatterns, respectGitignore }) {
+    const directories = new Map([['', 0]]);
+    const files = [];
+    const extensions = new Map();
+    let directoryCount = 0;
+    await walkDirectory(rootPath, { excludePatterns, respectGitignore }, async (entry, fullPath, relativePath) => {
+        if (entry.isDirectory()) {
+            directoryCount++;
+            if (relativePath.split(path.sep).length <= maxDepth) {
+                directories.set(relativePath, 0);
+            }
+            return;
+        }
+        const { size } = await fs.lstat(fullPath);
+        files.push({ path: relativePath, size });
+        const extension = path.extname(entry.name).toLowerCase() || '(none)';
+        const totals = extensions.get(extension) ?? { size: 0, count: 0 };
+        extensions.set(extension, { size: totals.size + size, count: totals.count + 1 });
+        // Add the size to every listed ancestor directory
+        const segments = relativePath.split(path.sep).slice(0, -1);
+        for (let depth = 0; depth <= Math.min(segments.length, maxDepth); depth++) {
+            const ancestor = segments.slice(0, depth).join(path.sep);
+            directories.set(ancestor, directories.get(ancestor) + size);
+        }
+    });
+    return { directories, files, extensions, directoryCount, totalBytes: directories.get('') };
+}
+function formatDiskUsage(rootPath, usage, top) {
+    const bySize = (a, b) => b.size - a.size;
+    const directories = [...usage.directories]
+        .filter(([relativePath]) => relativePath !== '')
+        .map(([relativePath, size]) => ({ path: relativePath, size }))
+        .sort(bySize)
+        .slice(0, top);
+    const files = [...usage.files].sort(bySize).slice(0, top);
+    const extensions = [...usage.extensions]
+        .map(([extension, totals]) => ({ extension, ...totals }))
+        .sort(bySize)
+        .slice(0, top);
+    const sizeColumn = size => formatByteSize(size).padStart(10);
+    const lines = [`Total: ${formatByteSize(usage.totalBytes)} in ${usage.files.length} files, ${usage.directoryCount} directories (${rootPath})`];
+    if (directories.length > 0) {
+        lines.push('', 'Largest directories:', ...directories.map(dir => `${sizeColumn(dir.size)}  ${dir.path}`));
+    }
+    if (files.length > 0) {
+        lines.push('', 'Largest files:', ...files.map(file => `${sizeColumn(file.size)}  ${file.path}`));
+    }
+    if (extensions.length > 0) {
+        lines.push('', 'By extension:', ...extensions.map(ext => `${sizeColumn(ext.size)}  ${ext.extension} (${ext.count} ${ext.count === 1 ? 'file' : 'files'})`));
+    }
+    return lines.join('\n');
+}
+
+// Batch rename utilities
+// Template tokens look like {name}, {n:3} or {name|upper}
+const RENAME_TOKEN_PATTERN = /\{(\w+)(?::(\d+))?(?:\|(\w+))?\}/g;
+const RENAME_CASE_TRANSFORMS = {
+    upper: text => text.toUpperCase(),
+    lower: text => text.toLowerCase(),
+    title: text => text.toLowerCase().replace(/(^|[\s_-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase()),
+    kebab: text => text.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[\s_]+/g, '-').toLowerCase(),
+    snake: text => text.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[\s-]+/g, '_').toLowerCase(),
+};
+function formatLocalDate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+function expandRenameTokens(template, context) {
+    return template.replace(RENAME_TOKEN_PATTERN, (match, token, width, transform) => {
+        let value;
+        if (token === 'n') {
+            value = String(context.counter).padStart(Number(width ?? 0), '0');
+        }
+        else if (token in context.values) {
+            value = context.values[token];
+        }
+        else {
+            throw new Error(`Unknown token ${match} in rename rule. Use {name}, {ext}, {n}, {date} or {today}`);
+        }
+        if (transform) {
+            if (!RENAME_CASE_TRANSFORMS[transform]) {
+                throw new Error(`Unknown transform ${match} in rename rule. Use ${Object.keys(RENAME_CASE_TRANSFORMS).join(', ')}`);
+            }
+            value = RENAME_CASE_TRANSFORMS[transform](value);
+        }
+        // Values end up in a String.replace replacement, where $ is special
+        return context.escapeDollars ? value.replace(/\$/g, '$$$$') : value;
+    });
+}
+async function selectRenameSources(rootPath, pattern, excludePatterns) {
+    const sources = [];
+    await walkDirectory(rootPath, { excludePatterns }, async (entry, fullPath, relativePath) => {
+        if (entry.isFile() && minimatch(relativePath.split(path.sep).join('/'), pattern, { dot: true })) {
+            sources.push(fullPath);
+        }
+    });
+    return sources;
+}
+function comparableName(p) {
+    return comparablePath(normalizePath(p));
+}
+// Works out every new name and checks the whole batch before anything is renamed
+async function planBatchRename(rootPath, options) {
+    const { pattern, excludePatterns, find, caseSensitive, replace, template, sortBy, counterStart, counterStep, maxFiles } = options;
+    if ((template === undefined) === (find === undefined) || (find !== undefined && replace === undefined)) {
+        throw new Error('Give either template, or find together with replace');
+    }
+    let findRegex = null;
+    if (find !== undefined) {
+        try {
+            findRegex = new RegExp(find, caseSensitive ? 'g' : 'gi');
+        }
+        catch (error) {
+            throw new Error(`Invalid find pattern: ${error.message}`);
+        }
+    }
+    const sources = await Promise.all((await selectRenameSources(rootPath, pattern, excludePatterns))
+        .map(async sourcePath => ({ sourcePath, stats: await fs.stat(sourcePath) })));
+    if (sources.length > maxFiles) {
+        throw new Error(`${sources.length} files match ${pattern}, more than maxFiles (${maxFiles})`);
+    }
+    const sorters = {
+        name: (a, b) => a.sourcePath.localeCompare(b.sourcePath, undefined, { numeric: true }),
+        mtime: (a, b) => a.stats.mtimeMs - b.stats.mtimeMs,
+        size: (a, b) => a.stats.size - b.stats.size,
+    };
+    sources.sort(sorters[sortBy]);
+    const today = formatLocalDate(new Date());
+    const renames = [];
+    for (const [index, { sourcePath, stats }] of sources.entries()) {
+        const fileName = path.basename(sourcePath);
+        const ext = path.extname(fileName);
+        const context = {
+            counter: counterStart + index * counterStep,
+            values: { name: path.basename(fileName, ext), ext, date: formatLocalDate(stats.mtime), today },
+        };
+        const newName = findRegex
+            ? fileName.replace(findRegex, expandRenameTokens(replace, { ...context, escapeDollars: true }))
+            : expandRenameTokens(template, context);
+        if (newName === '' || newName.split(/[\\/]/).some(segment => segment === '' || segment === '.' || segment === '..')) {
+            throw new Error(`Invalid new name for ${fileName}: "${newName}"`);
+        }
+        // Names with a slash move the file, relative to its directory
+        const targetPath = await validateNewPath(path.join(path.dirname(sourcePath), newName), 'write');
+        if (targetPath === sourcePath) {
+            continue;
+        }
+        await validatePath(sourcePath, 'delete');
+        renames.push({ sourcePath, targetPath });
+    }
+    const problems = [];
+    const sourceKeys = new Set(renames.map(rename => comparableName(rename.sourcePath)));
+    const targets = new Map();
+    for (const rename of renames) {
+        const key = comparableName(rename.targetPath);
+        if (targets.has(key)) {
+            problems.push(`${targets.get(key)} and ${rename.sourcePath} would both become ${rename.targetPath}`);
+            continue;
+        }
+        targets.set(key, rename.sourcePath);
+        // Renaming onto a file that is itself renamed away is fine, anything else would overwrite it
+        if (!sourceKeys.has(key) && await fs.lstat(rename.targetPath).then(() => true, () => false)) {
+            problems.push(`${rename.sourcePath} -> ${rename.targetPath}: target already exists`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(`Nothing was renamed, conflicts found:\n  ${problems.join('\n  ')}`);
+    }
+    // Renames onto another source's name form chains or cycles, which need temporary names
+    const chained = renames.filter(rename => sourceKeys.has(comparableName(rename.targetPath))).length;
+    return { renames, unchanged: sources.length - renames.length, chained };
+}
+// Renames in two phases through temporary names, so chains and cycles such as a -> b,
+// b -> a work; any failure undoes the steps already taken
+async function executeBatchRename(renames) {
+    const steps = [];
+    try {
+        for (const [index, rename] of renames.entries()) {
+            rename.tempPath = path.join(path.dirname(rename.sourcePath), `.batch-rename.${process.pid}.${Date.now()}.${index}.tmp`);
+            await fs.rename(rename.sourcePath, rename.tempPath);
+            steps.push({ from: rename.sourcePath, to: rename.tempPath });
+        }
+        for (const rename of renames) {
+            await fs.mkdir(path.dirname(rename.targetPath), { recursive: true });
+            if (await fs.lstat(rename.targetPath).then(() => true, () => false)) {
+                throw new Error(`${rename.targetPath} appeared while renaming`);
+            }
+            await fs.rename(rename.tempPath, rename.targetPath);
+            steps.push({ from: rename.tempPath, to: rename.targetPath });
+        }
+    }
+    catch (error) {
+        const rollbackErrors = [];
+        for (const step of steps.reverse()) {
+            try {
+                await fs.rename(step.to, step.from);
+            }
+            catch (rollbackError) {
+                rollbackErrors.push(`${step.to} -> ${step.from}: ${rollbackError.message}`);
+            }
+        }
+        const rollbackNote = rollbackErrors.length > 0
+            ? `\nRollback incomplete, fix these by hand:\n  ${rollbackErrors.join('\n  ')}`
+            : '\nAll renames were rolled back.';
+        throw new Error(`Batch rename failed: ${error.message}${rollbackNote}`);
+    }
+}
+function formatRenameTable(rootPath, renames) {
+    const rows = renames.map(rename => [path.relative(rootPath, rename.sourcePath), path.relative(rootPath, rename.targetPath)]);
+    const width = Math.max(...rows.map(([oldName]) => oldName.length));
+    return rows.map(([oldName, newName]) => `  ${oldName.padEnd(width)}  ->  ${newName}`).join('\n');
+}
+
+// Directory listing utilities
+async function listDirectoryEntries(dirPath, options) {
+    const { details = false, sortBy, order = 'asc', showHidden = true, pattern, offset = 0, limit } = options;
+    let dirents = (await fs.readdir(dirPath, { withFileTypes: true }))
+        .filter(entry => !isDeniedPath(path.join(dirPath, entry.name)));
+    if (!showHidden) {
+        dirents = dirents.filter(entry => !entry.name.startsWith('.'));
+    }
+    if (pattern) {
+        dirents = dirents.filter(entry => minimatch(entry.name, pattern, { dot: true, nocase: process.platform === 'win32' }));
+    }
+    if (options.respectGitignore) {
+        const isIgnored = await createIgnoreFilter(dirPath);
+        const ignored = await Promise.all(dirents.map(entry => isIgnored(path.join(dirPath, entry.name), entry.isDirectory())));
+        dirents = dirents.filter((entry, i) => !ignored[i]);
+    }
+    // Only stat entries when the output or the sort order needs it
+    const needStats = details || sortBy === 'size' || sortBy === 'mtime';
+    let entries = await Promise.all(dirents.map(async (dirent) => {
+        const entry = {
+            name: dirent.name,
+            type: dirent.isDirectory() ? 'directory' : dirent.isSymbolicLink() ? 'symlink' : 'file',
+        };
+        if (!needStats) {
+            return entry;
+        }
+        const entryPath = path.join(dirPath, dirent.name);
+        try {
+            const lstats = await fs.lstat(entryPath);
+            entry.size = lstats.size;
+            entry.modified = lstats.mtime.toISOString();
+            entry.permissions = lstats.mode.toString(8).slice(-3);
+            if (lstats.isSymbolicLink()) {
+                entry.target = await fs.readlink(entryPath);
+                try {
+                    const stats = await fs.stat(entryPath);
+                    entry.targetType = stats.isDirectory() ? 'directory' : 'file';
+                    entry.size = stats.size;
+                }
+                catch {
+                    entry.targetType = 'broken';
+                }
+            }
+        }
+        catch {
+            // Entry vanished while listing
+        }
+        return entry;
+    }));
+    if (sortBy) {
+        const direction = order === 'desc' ? -1 : 1;
+        const compare = {
+            name: (a, b) => a.name.localeCompare(b.name),
+            size: (a, b) => (a.size ?? 0) - (b.size ?? 0),
+            mtime: (a, b) => (a.modified ?? '').localeCompare(b.modified ?? ''),
+        }[sortBy];
+        entries.sort((a, b) => direction * compare(a, b));
+    }
+    const total = entries.length;
+    const end = limit !== undefined ? offset + limit : total;
+    entries = entries.slice(offset, end);
+    if (!details) {
+        entries = entries.map(({ name, type }) => ({ name, type }));
+    }
+    return { entries, total, nextOffset: end < total ? end : null };
+}
+function formatDirectoryEntry(entry, details) {
+    const prefix = { directory: '[DIR]', file: '[FILE]', symlink: '[LINK]' }[entry.type];
+    if (!details) {
+        return `${prefix} ${entry.name}`;
+    }
+    const target = entry.target !== undefined ? ` -> ${entry.target} (${entry.targetType})` : '';
+    return `${prefix} ${entry.name}${target}  ${entry.size ?? '?'} bytes  ${entry.modified ?? '?'}  ${entry.permissions ?? '?'}`;
+}
+
+// Directory tree utilities
+async function buildDirectoryTree(rootPath, options) {
+    const { maxDepth = Infinity, excludePatterns = [], showSizes = false, showCounts = false, maxEntries = Infinity } = options;
+    const isIgnored = options.respectGitignore ? await createIgnoreFilter(rootPath) : null;
+    let entryCount = 0;
+    let truncated = false;
+    async function buildTree(currentPath, depth) {
+        const validPath = await validatePath(currentPath);
+        const entries = [];
+        for (const entry of await fs.readdir(validPath, { withFileTypes: true })) {
+            const entryPath = path.join(currentPath, entry.name);
+            if (isDeniedPath(entryPath)) {
+                continue;
+            }
+            if (matchesExcludePattern(path.relative(rootPath, entryPath), excludePatterns)) {
+                continue;
+            }
+            if (isIgnored && await isIgnored(entryPath, entry.isDirectory())) {
+                continue;
+            }
+            entries.push(entry);
+        }
+        const result = [];
+        for (const [i, entry] of entries.entries()) {
+            if (entryCount >= maxEntries) {
+                // Budget used up, mark what is left of this directory
+                truncated = true;
+                result.push({ name: `... ${entries.length - i} more entries`, type: 'truncated' });
+                break;
+            }
+            entryCount++;
+            const entryData = {
+                name: entry.name,
+                type: entry.isDirectory() ? 'directory' : 'file'
+            };
+            const subPath = path.join(currentPath, entry.name);
+            if (!entry.isDirectory()) {
+                if (showSizes) {
+                    try {
+                        entryData.size = (await fs.stat(subPath)).size;
+                    }
+                    catch {
+                        // Broken symlinks have no size
+                    }
+                }
+                result.push(entryData);
+                continue;
+            }
+            if (depth >= maxDepth) {
+                entryData.children = [];
+                entryData.truncated = true;
+            }
+            else {
+                try {
+                    const subtree = await buildTree(subPath, depth + 1);
+                    entryData.children = subtree.children;
+                    if (showCounts) {
+                        entryData.fileCount = subtree.fileCount;
+                        entryData.directoryCount = subtree.directoryCount;
+                    }
+                }
+                catch {
+                    // Directories outside allowed roots (e.g. symlinks) are shown empty
+                    entryData.children = [];
+                }
+            }
+            result.push(entryData);
+        }
+        return {
+            children: result,
+            fileCount: entries.filter(entry => !entry.isDirectory()).length,
+            directoryCount: entries.filter(entry => entry.isDirectory()).length,
+        };
+    }
+    const { children } = await buildTree(rootPath, 1);
+    return { tree: children, truncated };
+}
+function formatTreeText(tree, indent = '') {
+    const lines = [];
+    for (const entry of tree) {
+        if (entry.type === 'truncated') {
+            lines.push(`${indent}${entry.name}`);
+            continue;
+        }
+        const details = [];
+        if (entry.size !== undefined) {
+            details.push(`${entry.size} bytes`);
+        }
+        if (entry.fileCount !== undefined) {
+            details.push(`${entry.fileCount} files, ${entry.directoryCount} dirs`);
+        }
+        if (entry.truncated) {
+            details.push('not expanded');
+        }
+        const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+        lines.push(`${indent}${entry.name}${entry.type === 'directory' ? '/' : ''}${suffix}`);
+        if (entry.children) {
+            lines.push(...formatTreeText(entry.children, indent + '  ').split('\n').filter(Boolean));
+        }
+    }
+    return lines.join('\n');
+}
+
+// Patch utilities
+function stripPatchPrefix(fileName) {
+    if (!fileName || fileName === '/dev/null') {
+        return null;
+    }
+    // git style a/ and b/ prefixes
+    return /^[ab]\//.test(fileName) ? fileName.slice(2) : fileName;
+}
+function parseMultiFilePatch(patchText) {
+    const text = normalizeLineEndings(patchText);
+    const chunks = /^diff --git /m.test(text) ? text.split(/^(?=diff --git )/m) : [text];
+    const filePatches = [];
+    for (const chunk of chunks) {
+        // git reports pure renames without ---/+++ headers
+        const renameFrom = chunk.match(/^rename from (.+)$/m);
+        const renameTo = chunk.match(/^rename to (.+)$/m);
+        if (renameFrom && renameTo && !/^--- /m.test(chunk)) {
+            filePatches.push({ oldPath: renameFrom[1], newPath: renameTo[1], hunks: [] });
+            continue;
+        }
+        for (const index of parsePatch(chunk)) {
+            if (!index.oldFileName && !index.newFileName) {
+                continue;
+            }
+            filePatches.push({
+                oldPath: stripPatchPrefix(index.oldFileName),
+                newPath: stripPatchPrefix(index.newFileName),
+                hunks: index.hunks,
+            });
+        }
+    }
+    return filePatches;
+}
+async function resolvePatchPath(patchPath, basePath, isNewFile, capability) {
+    let requestedPath = patchPath;
+    if (!path.isAbsolute(patchPath)) {
+        if (!basePath) {
+            throw new Error(`Relative path ${patchPath} in patch requires basePath`);
+        }
+        requestedPath = path.join(basePath, patchPath);
+    }
+    // New files may live in directories that do not exist yet
+    return isNewFile
+        ? await validateNewPath(requestedPath, capability)
+        : await validatePath(requestedPath, capability);
+}
+// Finds where a hunk applies, searching outwards from the expected line. Fuzz only
+// tolerates mismatched context lines, removed lines must always match exactly.
+function findHunkPosition(lines, oldLines, expected, fuzzFactor) {
+    const fits = (start) => {
+        if (start < 0 || start + oldLines.length > lines.length) {
+            return false;
+        }
+        let mismatches = 0;
+        for (let j = 0; j < oldLines.length; j++) {
+            if (lines[start + j] === oldLines[j].slice(1)) {
+                continue;
+            }
+            if (oldLines[j][0] === '-' || ++mismatches > fuzzFactor) {
+                return false;
+            }
+        }
+        return true;
+    };
+    for (let distance = 0; distance <= lines.length; distance++) {
+        if (fits(expected - distance)) {
+            return expected - distance;
+        }
+        if (distance > 0 && fits(expected + distance)) {
+            return expected + distance;
+        }
+    }
+    return -1;
+}
+// Applies hunks one at a time so each can be reported on its own
+function applyHunks(content, hunks, fuzzFactor) {
+    const lines = content === '' ? [] : content.split('\n');
+    let endsWithNewline = content === '' || content.endsWith('\n');
+    if (content.endsWith('\n')) {
+        lines.pop();
+    }
+    let offset = 0;
+    const hunkResults = [];
+    for (const hunk of hunks) {
+        // parsePatch stores empty ranges one line later than the header shows
+        const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+        const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+        const header = `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`;
+        const oldLines = hunk.lines.filter(line => line[0] === ' ' || line[0] === '-');
+        const expected = hunk.oldStart - 1 + offset;
+        const position = findHunkPosition(lines, oldLines, expected, fuzzFactor);
+        if (position === -1) {
+            hunkResults.push({ header, applied: false });
+            continue;
+        }
+        // Context lines keep the file's own text, in case they matched only by fuzz
+        const replacement = [];
+        let oldIndex = 0;
+        let oldMissingNewline = false;
+        let newMissingNewline = false;
+        hunk.lines.forEach((line, k) => {
+            if (line[0] === ' ') {
+                replacement.push(lines[position + oldIndex++]);
+            }
+            else if (line[0] === '-') {
+                oldIndex++;
+            }
+            else if (line[0] === '+') {
+                replacement.push(line.slice(1));
+            }
+            else if (line[0] === '\\') {
+                // "\ No newline at end of file" applies to the line before it
+                const previous = hunk.lines[k - 1]?.[0];
+                oldMissingNewline ||= previous === '-' || previous === ' ';
+                newMissingNewline ||= previous === '+' || previous === ' ';
+            }
+        });
+        lines.splice(position, oldLines.length, ...replacement);
+        if (newMissingNewline) {
+            endsWithNewline = false;
+        }
+        else if (oldMissingNewline) {
+            endsWithNewline = true;
+        }
+        offset = position + replacement.length - oldLines.length - (hunk.oldStart - 1);
+        hunkResults.push({ header, applied: true });
+    }
+    const result = lines.join('\n') + (endsWithNewline && lines.length > 0 ? '\n' : '');
+    return { content: result, hunkResults };
+}
+async function preparePatchChange(filePatch, basePath, fuzzFactor) {
+    const { oldPath, newPath, hunks } = filePatch;
+    const action = !oldPath ? 'create' : !newPath ? 'delete' : oldPath !== newPath ? 'rename' : 'modify';
+    const change = { action, displayPath: action === 'rename' ? `${oldPath} -> ${newPath}` : (newPath ?? oldPath), hunkResults: [] };
+    try {
+        // Deleting or renaming removes the source, everything else only writes
+        const sourceCapability = action === 'delete' || action === 'rename' ? 'delete' : 'write';
+        change.sourcePath = oldPath ? await resolvePatchPath(oldPath, basePath, false, sourceCapability) : null;
+        change.targetPath = newPath ? await resolvePatchPath(newPath, basePath, action !== 'modify', 'write') : null;
+        if ((action === 'create' || action === 'rename') && await pathExists(change.targetPath)) {
+            throw new Error(`${change.targetPath} already exists`);
+        }
+        change.rawContent = change.sourcePath ? await fs.readFile(change.sourcePath) : Buffer.alloc(0);
+        const { text, format } = change.sourcePath
+            ? decodeTextBuffer(change.rawContent)
+            : { text: '', format: DEFAULT_TEXT_FORMAT };
+        change.format = format;
+        const { content, hunkResults } = applyHunks(normalizeLineEndings(text), hunks, fuzzFactor);
+        change.newContent = content;
+        change.hunkResults = hunkResults;
+    }
+    catch (error) {
+        change.error = error instanceof Error ? error.message : String(error);
+    }
+    return change;
+}
+// Writes all changes, restoring every touched file if any step fails
+async function writePatchChanges(changes) {
+    const touched = [];
+    try {
+        for (const change of changes) {
+            touched.push(change);
+            if (change.sourcePath) {
+                await snapshotFile(change.sourcePath, 'apply_patch');
+            }
+            if (change.action === 'delete') {
+                await fs.rm(change.sourcePath);
+                continue;
+            }
+            await fs.mkdir(path.dirname(change.targetPath), { recursive: true });
+            recordAuditBytes(await writeTextFile(change.targetPath, change.newContent, change.format));
+            if (change.action === 'rename') {
+                await fs.rm(change.sourcePath);
+            }
+        }
+    }
+    catch (error) {
+        for (const change of touched.reverse()) {
+            if (change.action === 'create' || change.action === 'rename') {
+                await fs.rm(change.targetPath, { force: true });
+            }
+            if (change.sourcePath) {
+                await writeFileAtomic(change.sourcePath, change.rawContent, null);
+            }
+        }
+        throw new Error(`Failed to apply patch, all changes were rolled back: ${error.message}`);
+    }
+}
+async function applyMultiFilePatch(patchText, { basePath, fuzzFactor, dryRun }) {
+    const filePatches = parseMultiFilePatch(patchText);
+    if (filePatches.length === 0) {
+        throw new Error('No file changes found in patch');
+    }
+    const validBasePath = basePath ? await validatePath(basePath) : undefined;
+    const changes = [];
+    // Every section is applied to the file as it is on disk, so a second section for the
+    // same file would silently undo the first
+    const touchedPaths = new Set();
+    for (const filePatch of filePatches) {
+        const change = await preparePatchChange(filePatch, validBasePath, fuzzFactor);
+        const changePaths = new Set([change.sourcePath, change.targetPath].filter(Boolean).map(comparablePath));
+        if (!change.error && [...changePaths].some(changePath => touchedPaths.has(changePath))) {
+            change.error = 'an earlier section of the patch changes the same file, combine them into one section';
+        }
+        changePaths.forEach(changePath => touchedPaths.add(changePath));
+        changes.push(change);
+    }
+    const failed = changes.some(change => change.error || change.hunkResults.some(hunk => !hunk.applied));
+    if (!failed && !dryRun) {
+        await writePatchChanges(changes);
+    }
+    const symbols = { create: 'A', delete: 'D', rename: 'R', modify: 'M' };
+    const lines = [failed
+            ? 'Patch does not apply, no files were changed'
+            : dryRun ? 'Dry run: patch applies cleanly' : 'Patch applied'];
+    for (const change of changes) {
+        lines.push(`${symbols[change.action]} ${change.displayPath}${change.error ? `: FAILED - ${change.error}` : ''}`);
+        change.hunkResults.forEach((hunk, i) => {
+            lines.push(`    hunk ${i + 1} ${hunk.header}: ${hunk.applied ? 'applied' : 'FAILED'}`);
+        });
+    }
+    return { text: lines.join('\n'), failed };
+}
+
+// Structured file utilities
+// JSON (comments and trailing commas allowed), YAML and TOML are parsed with source
+// offsets, so an update only rewrites the text of the value it touches.
+const STRUCTURED_FORMAT_EXTENSIONS = {
+    '.json': 'json',
+    '.jsonc': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.toml': 'toml',
+};
+function detectStructuredFormat(filePath, format) {
+    if (format !== 'auto') {
+        return format;
+    }
+    const detected = STRUCTURED_FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()];
+    if (!detected) {
+        throw new Error(`Cannot tell the format of ${filePath} from its extension; pass format as json, yaml or toml`);
+    }
+    return detected;
+}
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof TomlDateTime);
+}
+function spliceText(text, start, end, replacement) {
+    return text.slice(0, start) + replacement + text.slice(end);
+}
+function lineIndentAt(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+// Adds an item on a new line after the last one ({start, end}) of a container with one
+// item per line. A trailing comma is kept, and a comment after the last item stays on its line.
+function appendItemLine(text, last, itemText, commentPattern) {
+    const rest = new RegExp(`[ \\t]*(,?)[ \\t]*(?:${commentPattern})?[ \\t]*(?=\\n)`, 'y');
+    rest.lastIndex = last.end;
+    const match = rest.exec(text);
+    const itemLine = `\n${lineIndentAt(text, last.start)}${itemText}`;
+    if (!match) {
+        return spliceText(text, last.end, last.end, `,${itemLine}`);
+    }
+    const at = last.end + match[0].length;
+    if (match[1]) {
+        return spliceText(text, at, at, `${itemLine},`);
+    }
+    return spliceText(spliceText(text, at, at, itemLine), last.end, last.end, ',');
+}
+// Smallest indentation used in the file, or null when nothing is indented
+function detectIndentUnit(text) {
+    const indents = [...text.matchAll(/^([ \t]+)\S/gm)].map(match => match[1]);
+    if (indents.length === 0) {
+        return null;
+    }
+    if (indents.some(indent => indent.startsWith('\t'))) {
+        return '\t';
+    }
+    return ' '.repeat(Math.min(...indents.map(indent => indent.length)));
+}
+// Accepts dotted paths (servers.api.port, items[0].name) and a JSONPath subset:
+// $, .key, ['key'], [n] (negative counts from the end), [*], .* and ..key
+function parseStructuredPath(expression) {
+    let source = expression.trim();
+    if (source.startsWith('$')) {
+        source = source.slice(1);
+    }
+    else if (source && !source.startsWith('[') && !source.startsWith('.')) {
+        source = `.${source}`;
+    }
+    const fail = message => {
+        throw new Error(`Invalid path "${expression}": ${message}`);
+    };
+    const segments = [];
+    let pos = 0;
+    while (pos < source.length) {
+        const rest = source.slice(pos);
+        let match;
+        if ((match = /^\.\.(\*|[^.[\]]+)/.exec(rest))) {
+            segments.push({ recursive: true, key: match[1] === '*' ? null : match[1] });
+        }
+        else if ((match = /^\.([^.[\]]+)/.exec(rest))) {
+            segments.push(match[1] === '*' ? { wildcard: true } : match[1]);
+        }
+        else if ((match = /^\[\s*(?:(\*)|(-?\d+)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*\]/.exec(rest))) {
+            if (match[1]) {
+                segments.push({ wildcard: true });
+            }
+            else if (match[2] !== undefined) {
+                segments.push(Number(match[2]));
+            }
+            else {
+                segments.push((match[3] ?? match[4]).replace(/\\(.)/g, '$1'));
+            }
+        }
+        else {
+            fail(`unexpected "${rest}"`);
+        }
+        pos += match[0].length;
+    }
+    return segments;
+}
+function formatStructuredPath(segments) {
+    return '$' + segments.map(segment => typeof segment === 'number'
+        ? `[${segment}]`
+        : /^[A-Za-z_][\w-]*$/.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`).join('');
+}
+// Maps a path segment onto a key of container: numbers and numeric strings index
+// arrays, negative numbers count from the end. Undefined when nothing is there.
+function resolveStructuredKey(container, segment) {
+    if (Array.isArray(container)) {
+        const index = typeof segment === 'number' ? segment : /^-?\d+$/.test(segment) ? Number(segment) : NaN;
+        const resolved = index < 0 ? container.length + index : index;
+        return resolved >= 0 && resolved < container.length ? resolved : undefined;
+    }
+    if (isPlainObject(container) && typeof segment === 'string' && Object.hasOwn(container, segment)) {
+        return segment;
+    }
+    return undefined;
+}
+function structuredChildren(value) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => [index, item]);
+    }
+    return isPlainObject(value) ? Object.entries(value) : [];
+}
+function queryStructuredValue(root, segments) {
+    let matches = [{ path: [], value: root }];
+    for (const segment of segments) {
+        const next = [];
+        for (const match of matches) {
+            if (segment.wildcard) {
+                for (const [key, value] of structuredChildren(match.value)) {
+                    next.push({ path: [...match.path, key], value });
+                }
+            }
+            else if (segment.recursive) {
+                const visit = (parentPath, value) => {
+                    for (const [key, child] of structuredChildren(value)) {
+                        if (segment.key === null || String(key) === segment.key) {
+                            next.push({ path: [...parentPath, key], value: child });
+                        }
+                        visit([...parentPath, key], child);
+                    }
+                };
+                visit(match.path, match.value);
+            }
+            else {
+                const key = resolveStructuredKey(match.value, segment);
+                if (key !== undefined) {
+                    next.push({ path: [...match.path, key], value: match.value[key] });
+                }
+            }
+        }
+        matches = next;
+    }
+    return matches;
+}
+function formatStructuredMatches(matches, segments, query) {
+    if (segments.every(segment => typeof segment !== 'object')) {
+        return matches.length ? JSON.stringify(matches[0].value, null, 2) : `No value at ${query}`;
+    }
+    if (matches.length === 0) {
+        return `No matches for ${query}`;
+    }
+    return matches.map(match => `${formatStructuredPath(match.path)} = ${JSON.stringify(match.value)}`).join('\n');
+}
+function getStructuredValue(value, keys) {
+    return keys.reduce((current, key) => current?.[key], value);
+}
+// Returns a copy of value with update applied to the part at keys
+function updateStructuredValue(value, keys, update) {
+    if (keys.length === 0) {
+        return update(value);
+    }
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    copy[keys[0]] = updateStructuredValue(value[keys[0]], keys.slice(1), update);
+    return copy;
+}
+function withoutStructuredKey(container, key) {
+    if (Array.isArray(container)) {
+        return container.filter((item, index) => index !== key);
+    }
+    const { [key]: removed, ...rest } = container;
+    return rest;
+}
+
+// JSON: values keep their offsets so edits splice the original text
+function parseJsonSource(text) {
+    let pos = 0;
+    const fail = message => {
+        throw new Error(`Invalid JSON at line ${lineNumberAt(text, pos)}: ${message}`);
+    };
+    const skip = () => {
+        for (;;) {
+            while (pos < text.length && /\s/.test(text[pos])) {
+                pos++;
+            }
+            if (text.startsWith('//', pos)) {
+                const end = text.indexOf('\n', pos);
+                pos = end === -1 ? text.length : end;
+            }
+            else if (text.startsWith('/*', pos)) {
+                const end = text.indexOf('*/', pos + 2);
+                if (end === -1) {
+                    fail('unterminated comment');
+                }
+                pos = end + 2;
+            }
+            else {
+                return;
+            }
+        }
+    };
+    const parseString = () => {
+        const start = pos;
+        for (pos++; text[pos] !== '"'; pos++) {
+            if (pos >= text.length || text[pos] === '\n') {
+                fail('unterminated string');
+            }
+            if (text[pos] === '\\') {
+                pos++;
+            }
+        }
+        pos++;
+        try {
+            return JSON.parse(text.slice(start, pos));
+        }
+        catch {
+            fail('invalid string');
+        }
+    };
+    const literal = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+    const parseValue = () => {
+        skip();
+        const start = pos;
+        if (text[pos] === '{' || text[pos] === '[') {
+            const isObject = text[pos] === '{';
+            const close = isObject ? '}' : ']';
+            const entries = [];
+            const value = isObject ? {} : [];
+            pos++;
+            for (;;) {
+                skip();
+                if (text[pos] === close) {
+                    break;
+                }
+                if (isObject) {
+                    if (text[pos] !== '"') {
+                        fail('expected a property name');
+                    }
+                    const memberStart = pos;
+                    const key = parseString();
+                    skip();
+                    if (text[pos] !== ':') {
+                        fail('expected ":"');
+                    }
+                    pos++;
+                    const node = parseValue();
+                    entries.push({ key, start: memberStart, end: node.end, node });
+                    value[key] = node.value;
+                }
+                else {
+                    const node = parseValue();
+                    entries.push({ start: node.start, end: node.end, node });
+                    value.push(node.value);
+                }
+                skip();
+                if (text[pos] === ',') {
+                    pos++;
+                }
+                else if (text[pos] !== close) {
+                    fail(`expected "," or "${close}"`);
+                }
+            }
+            pos++;
+            return { kind: isObject ? 'object' : 'array', start, end: pos, entries, value };
+        }
+        if (text[pos] === '"') {
+            const value = parseString();
+            return { kind: 'scalar', start, end: pos, value };
+        }
+        literal.lastIndex = pos;
+        const match = literal.exec(text);
+        if (!match) {
+            fail(pos < text.length ? `unexpected "${text[pos]}"` : 'unexpected end of file');
+        }
+        pos += match[0].length;
+        return { kind: 'scalar', start, end: pos, value: JSON.parse(match[0]) };
+    };
+    const root = parseValue();
+    skip();
+    if (pos < text.length) {
+        fail('unexpected content after the document');
+    }
+    return root;
+}
+// Later duplicates win, as they do for JSON.parse
+function jsonNodeAt(root, keys) {
+    let node = root;
+    let parent = null;
+    for (const key of keys) {
+        const index = node.kind === 'object' ? node.entries.findLastIndex(entry => entry.key === key) : key;
+        parent = { container: node, index };
+        node = node.entries[index].node;
+    }
+    return { node, parent };
+}
+function renderJson(value, baseIndent, unit) {
+    return unit === null ? JSON.stringify(value) : JSON.stringify(value, null, unit).split('\n').join(`\n${baseIndent}`);
+}
+const JSON_LINE_COMMENT = '\\/\\/[^\\n]*|\\/\\*[^\\n]*?\\*\\/';
+function insertJsonEntry(text, container, prefix, value) {
+    const { entries } = container;
+    const unit = detectIndentUnit(text);
+    if (entries.length === 0) {
+        if (unit === null) {
+            return spliceText(text, container.start + 1, container.end - 1, prefix + JSON.stringify(value));
+        }
+        const baseIndent = lineIndentAt(text, container.start);
+        const indent = baseIndent + unit;
+        return spliceText(text, container.start + 1, container.end - 1, `\n${indent}${prefix}${renderJson(value, indent, unit)}\n${baseIndent}`);
+    }
+    const last = entries.at(-1);
+    // Follow the container's layout: one entry per line, or everything on one line
+    if (!text.slice(container.start, entries[0].start).includes('\n')) {
+        return spliceText(text, last.end, last.end, `, ${prefix}${JSON.stringify(value)}`);
+    }
+    const indent = lineIndentAt(text, last.start);
+    return appendItemLine(text, last, `${prefix}${renderJson(value, indent, unit)}`, JSON_LINE_COMMENT);
+}
+const jsonStructuredFormat = {
+    parse(text) {
+        const root = parseJsonSource(text);
+        return { data: root.value, root };
+    },
+    replace(text, doc, keys, value) {
+        const { node } = jsonNodeAt(doc.root, keys);
+        return spliceText(text, node.start, node.end, renderJson(value, lineIndentAt(text, node.start), detectIndentUnit(text)));
+    },
+    insertMember(text, doc, keys, key, value) {
+        return insertJsonEntry(text, jsonNodeAt(doc.root, keys).node, `${JSON.stringify(key)}: `, value);
+    },
+    insertItem(text, doc, keys, value) {
+        return insertJsonEntry(text, jsonNodeAt(doc.root, keys).node, '', value);
+    },
+    remove(text, doc, keys) {
+        const { container, index } = jsonNodeAt(doc.root, keys).parent;
+        const { entries } = container;
+        if (entries.length === 1) {
+            return spliceText(text, container.start + 1, container.end - 1, '');
+        }
+        // One entry per line: drop its whole lines, trailing comments included
+        const lineStart = offset => text.lastIndexOf('\n', offset - 1) + 1;
+        const next = entries[index + 1];
+        if (next && !text.slice(lineStart(entries[index].start), entries[index].start).trim()
+            && !text.slice(lineStart(next.start), next.start).trim() && lineStart(next.start) > entries[index].start) {
+            return spliceText(text, lineStart(entries[index].start), lineStart(next.start), '');
+        }
+        // The last entry on its own line: drop its line and the comma before it, so the
+        // previous entry keeps its comment
+        const entry = entries[index];
+        const previous = entries[index - 1];
+        if (!next && lineStart(entry.start) > previous.end && !text.slice(lineStart(entry.start), entry.start).trim()) {
+            const rest = new RegExp(`[ \\t]*(,?)[ \\t]*(?:${JSON_LINE_COMMENT})?[ \\t]*\\n`, 'y');
+            rest.lastIndex = entry.end;
+            const restMatch = rest.exec(text);
+            const comma = /[ \t]*,/y;
+            comma.lastIndex = previous.end;
+            if (restMatch && comma.test(text)) {
+                const withoutEntry = spliceText(text, lineStart(entry.start), rest.lastIndex, '');
+                // After a trailing comma the previous entry keeps its own comma too
+                return restMatch[1] ? withoutEntry : spliceText(withoutEntry, comma.lastIndex - 1, comma.lastIndex, '');
+            }
+        }
+        if (index > 0) {
+            return spliceText(text, entries[index - 1].end, entries[index].end, '');
+        }
+        return spliceText(text, entries[0].start, entries[1].start, '');
+    },
+};
+
+// YAML: block mappings and sequences, plain and quoted scalars, block scalars (| and >)
+// and flow collections. Anchors, aliases, tags and multi-document files are refused
+// rather than rewritten wrongly.
+const YAML_ESCAPES = {
+    '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+    ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029',
+};
+// Reads a single-line quoted scalar at the start of source; null if it is not terminated
+function readYamlQuoted(source) {
+    const quote = source[0];
+    let value = '';
+    for (let pos = 1; pos < source.length && source[pos] !== '\n'; pos++) {
+        const ch = source[pos];
+        if (quote === "'") {
+            if (ch !== "'") {
+                value += ch;
+            }
+            else if (source[pos + 1] === "'") {
+                value += "'";
+                pos++;
+            }
+            else {
+                return { value, length: pos + 1 };
+            }
+        }
+        else if (ch === '"') {
+            return { value, length: pos + 1 };
+        }
+        else if (ch === '\\') {
+            const escape = source[++pos];
+            const size = { x: 2, u: 4, U: 8 }[escape];
+            if (size) {
+                const hex = source.slice(pos + 1, pos + 1 + size);
+                if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== size) {
+                    return null;
+                }
+                value += String.fromCodePoint(parseInt(hex, 16));
+                pos += size;
+            }
+            else if (Object.hasOwn(YAML_ESCAPES, escape)) {
+                value += YAML_ESCAPES[escape];
+            }
+            else {
+                return null;
+            }
+        }
+        else {
+            value += ch;
+        }
+    }
+    return null;
+}
+// YAML 1.2 core schema
+function resolveYamlScalar(raw) {
+    if (raw === '' || raw === '~' || /^(?:null|Null|NULL)$/.test(raw)) {
+        return null;
+    }
+    if (/^(?:true|True|TRUE|false|False|FALSE)$/.test(raw)) {
+        return raw.toLowerCase() === 'true';
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(raw)) {
+        return parseInt(raw.slice(2), 16);
+    }
+    if (/^0o[0-7]+$/.test(raw)) {
+        return parseInt(raw.slice(2), 8);
+    }
+    if (/^[-+]?(?:\.\d+|\d+(?:\.\d*)?)(?:[eE][-+]?\d+)?$/.test(raw)) {
+        return Number(raw);
+    }
+    if (/^[-+]?\.(?:inf|Inf|INF)$/.test(raw)) {
+        return raw.startsWith('-') ? -Infinity : Infinity;
+    }
+    if (/^\.(?:nan|NaN|NAN)$/.test(raw)) {
+        return NaN;
+    }
+    return raw;
+}
+function stripYamlComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (quote === '"' && ch === '\\') {
+                i++;
+            }
+            else if (ch === quote) {
+                quote = null;
+            }
+        }
+        else if ((ch === '"' || ch === "'") && (i === 0 || /[\s[{,]/.test(line[i - 1]))) {
+            quote = ch;
+        }
+        else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i).trimEnd();
+        }
+    }
+    return line.trimEnd();
+}
+// Splits "key: value" at column; returns the key and where its value starts, or null
+function splitYamlKey(content, column) {
+    const rest = content.slice(column);
+    let key;
+    let keyLength;
+    if (rest[0] === '"' || rest[0] === "'") {
+        const quoted = readYamlQuoted(rest);
+        const colon = quoted && /^\s*:(?=\s|$)/.exec(rest.slice(quoted.length));
+        if (!colon) {
+            return null;
+        }
+        key = quoted.value;
+        keyLength = quoted.length + colon[0].length;
+    }
+    else {
+        if (/^[?:,[\]{}#&*!|>%@`-]/.test(rest) && !/^[?:-]\S/.test(rest)) {
+            return null;
+        }
+        const colon = /:(?=\s|$)/.exec(rest);
+        if (!colon || !rest.slice(0, colon.index).trim()) {
+            return null;
+        }
+        key = rest.slice(0, colon.index).trimEnd();
+        keyLength = colon.index + 1;
+    }
+    const afterColon = content.slice(column + keyLength);
+    return { key, valueColumn: column + keyLength + afterColon.length - afterColon.trimStart().length };
+}
+function isYamlSequenceStart(content, column) {
+    return content[column] === '-' && (column + 1 === content.length || content[column + 1] === ' ');
+}
+// Parses a flow collection starting at offset start, which may span several lines
+function parseYamlFlow(text, start, fail) {
+    let pos = start;
+    const skip = () => {
+        for (;;) {
+            while (pos < text.length && /\s/.test(text[pos])) {
+                pos++;
+            }
+            if (text[pos] !== '#') {
+                return;
+            }
+            while (pos < text.length && text[pos] !== '\n') {
+                pos++;
+            }
+        }
+    };
+    const scalar = isKey => {
+        if (text[pos] === '"' || text[pos] === "'") {
+            const quoted = readYamlQuoted(text.slice(pos));
+            if (!quoted) {
+                fail('unterminated or multi-line quoted string');
+            }
+            pos += quoted.length;
+            return quoted.value;
+        }
+        const begin = pos;
+        while (pos < text.length && !/[,[\]{}\n]/.test(text[pos])
+            && !(text[pos] === ':' && /[\s,[\]{}]/.test(text[pos + 1] ?? ' '))
+            && !(text[pos] === '#' && /\s/.test(text[pos - 1]))) {
+            pos++;
+        }
+        const raw = text.slice(begin, pos).trim();
+        return isKey ? raw : resolveYamlScalar(raw);
+    };
+    const value = () => {
+        skip();
+        const open = text[pos];
+        if (open === '&' || open === '*' || open === '!') {
+            fail('anchors, aliases and tags are not supported');
+        }
+        if (open !== '[' && open !== '{') {
+            return scalar(false);
+        }
+        const close = open === '[' ? ']' : '}';
+        const result = open === '[' ? [] : {};
+        pos++;
+        for (;;) {
+            skip();
+            if (pos >= text.length) {
+                fail(`unterminated flow collection, expected "${close}"`);
+            }
+            if (text[pos] === close) {
+                pos++;
+                return result;
+            }
+            if (open === '[') {
+                result.push(value());
+            }
+            else {
+                const key = scalar(true);
+                skip();
+                if (text[pos] !== ':') {
+                    fail('expected ":" in flow mapping');
+                }
+                pos++;
+                result[key] = value();
+            }
+            skip();
+            if (text[pos] === ',') {
+                pos++;
+            }
+            else if (text[pos] !== close) {
+                fail(`expected "," or "${close}" in flow collection`);
+            }
+        }
+    };
+    const result = value();
+    return { value: result, end: pos };
+}
+function parseYamlSource(text) {
+    const lines = [];
+    for (let start = 0; start < text.length;) {
+        const newline = text.indexOf('\n', start);
+        const end = newline === -1 ? text.length : newline;
+        const raw = text.slice(start, end);
+        const content = stripYamlComment(raw);
+        lines.push({ start, end, next: newline === -1 ? end : end + 1, raw, content, indent: raw.length - raw.trimStart().length, blank: content.trim() === '' });
+        start = end + 1;
+    }
+    let i = 0;
+    const fail = message => {
+        throw new Error(`Unsupported or invalid YAML at line ${Math.min(i, lines.length - 1) + 1}: ${message}`);
+    };
+    const skipBlank = () => {
+        while (i < lines.length && lines[i].blank) {
+            i++;
+        }
+    };
+    const isDocumentMarker = line => /^(?:---|\.\.\.)(?:\s|$)/.test(line.content);
+    const implicitNull = line => ({ kind: 'scalar', implicit: true, start: line.start + line.content.length, end: line.start + line.content.length, value: null });
+    // A value that starts on the current line at column; ownerIndent is the indentation of its key or dash
+    const parseInlineValue = (column, ownerIndent) => {
+        const line = lines[i];
+        const rest = line.content.slice(column);
+        const start = line.start + column;
+        if (/^[&*!]/.test(rest)) {
+            fail('anchors, aliases and tags are not supported');
+        }
+        if (rest[0] === '|' || rest[0] === '>') {
+            return parseBlockScalar(column, ownerIndent);
+        }
+        if (rest[0] === '[' || rest[0] === '{') {
+            const flow = parseYamlFlow(text, start, fail);
+            while (i < lines.length && lines[i].end < flow.end) {
+                i++;
+            }
+            if (text.slice(flow.end, lines[i].start + lines[i].content.length).trim()) {
+                fail('unexpected text after flow collection');
+            }
+            i++;
+            return { kind: 'flow', start, end: flow.end, value: flow.value };
+        }
+        let node;
+        if (rest[0] === '"' || rest[0] === "'") {
+            const quoted = readYamlQuoted(rest);
+            if (!quoted) {
+                fail('unterminated or multi-line quoted string');
+            }
+            if (rest.slice(quoted.length).trim()) {
+                fail('unexpected text after quoted string');
+            }
+            node = { kind: 'scalar', start, end: start + quoted.length, value: quoted.value };
+        }
+        else {
+            node = { kind: 'scalar', start, end: start + rest.length, value: resolveYamlScalar(rest) };
+        }
+        i++;
+        const save = i;
+        skipBlank();
+        if (i < lines.length && lines[i].indent > ownerIndent) {
+            fail('multi-line plain scalars are not supported');
+        }
+        i = save;
+        return node;
+    };
+    const parseBlockScalar = (column, ownerIndent) => {
+        const line = lines[i];
+        const header = /^([|>])([+-]?)([1-9]?)([+-]?)$/.exec(line.content.slice(column));
+        if (!header) {
+            fail('invalid block scalar header');
+        }
+        const chomping = header[2] || header[4];
+        let contentIndent = header[3] ? Math.max(ownerIndent, 0) + Number(header[3]) : null;
+        const body = [];
+        let lastLine = i;
+        for (i++; i < lines.length; i++) {
+            const raw = lines[i].raw;
+            const indent = raw.length - raw.trimStart().length;
+            if (raw.trim() === '') {
+                body.push('');
+                continue;
+            }
+            if (contentIndent === null) {
+                if (indent <= ownerIndent) {
+                    break;
+                }
+                contentIndent = indent;
+            }
+            if (indent < contentIndent) {
+                break;
+            }
+            body.push(raw.slice(contentIndent));
+            lastLine = i;
+        }
+        i = lastLine + 1;
+        let trailingBlank = 0;
+        while (body.length && body.at(-1) === '') {
+            body.pop();
+            trailingBlank++;
+        }
+        let value = header[1] === '|' ? body.join('\n') : body.reduce((folded, current, index) => {
+            const previous = body[index - 1];
+            if (index === 0) {
+                return current;
+            }
+            if (current === '') {
+                return `${folded}\n`;
+            }
+            if (previous === '') {
+                return folded + current;
+            }
+            return folded + (current.startsWith(' ') || previous.startsWith(' ') ? '\n' : ' ') + current;
+        }, '');
+        if (body.length && chomping !== '-') {
+            value += '\n' + (chomping === '+' ? '\n'.repeat(trailingBlank) : '');
+        }
+        return { kind: 'scalar', block: true, start: line.start + column, end: lines[lastLine].end, value };
+    };
+    // A block node on the following lines, indented deeper than its owner. Sequences may
+    // sit at the same indentation as the key that owns them.
+    const parseBlockNode = (ownerIndent, allowSequenceAtOwner) => {
+        const save = i;
+        skipBlank();
+        const line = lines[i];
+        if (line && !isDocumentMarker(line) && (line.indent > ownerIndent
+            || (allowSequenceAtOwner && line.indent === ownerIndent && isYamlSequenceStart(line.content, line.indent)))) {
+            return parseNodeAt(line.indent, ownerIndent);
+        }
+        i = save;
+        return null;
+    };
+    const parseNodeAt = (column, ownerIndent) => {
+        const { content } = lines[i];
+        if (content.startsWith('? ', column)) {
+            fail('complex mapping keys are not supported');
+        }
+        if (isYamlSequenceStart(content, column)) {
+            return parseSequence(column);
+        }
+        if (splitYamlKey(content, column)) {
+            return parseMapping(column);
+        }
+        return parseInlineValue(column, ownerIndent);
+    };
+    // Reads entries until the indentation drops; the first entry may start mid-line after "- "
+    const parseCollection = (column, isSequence) => {
+        const entries = [];
+        const value = isSequence ? [] : {};
+        const start = lines[i].start + column;
+        while (i < lines.length) {
+            if (entries.length) {
+                const save = i;
+                skipBlank();
+                const next = lines[i];
+                if (!next || next.indent < column || isDocumentMarker(next)
+                    || (next.indent === column && isYamlSequenceStart(next.content, column) !== isSequence)) {
+                    i = save;
+                    break;
+                }
+                if (next.indent > column) {
+                    fail('unexpected indentation');
+                }
+            }
+            const line = lines[i];
+            const entryColumn = entries.length ? line.indent : column;
+            const entryLine = i;
+            let key;
+            let node;
+            if (isSequence) {
+                const afterDash = line.content.slice(entryColumn + 1);
+                const valueColumn = entryColumn + 1 + afterDash.length - afterDash.trimStart().length;
+                if (valueColumn >= line.content.length) {
+                    i++;
+                    node = parseBlockNode(entryColumn, false) ?? implicitNull(line);
+                }
+                else {
+                    node = parseNodeAt(valueColumn, entryColumn);
+                }
+                value.push(node.value);
+            }
+            else {
+                if (line.content.startsWith('? ', entryColumn)) {
+                    fail('complex mapping keys are not supported');
+                }
+                const split = splitYamlKey(line.content, entryColumn);
+                if (!split) {
+                    fail('expected "key: value"');
+                }
+                key = split.key;
+                if (Object.hasOwn(value, key)) {
+                    fail(`duplicate key "${key}"`);
+                }
+                if (split.valueColumn >= line.content.length) {
+                    i++;
+                    node = parseBlockNode(entryColumn, true) ?? implicitNull(line);
+                }
+                else {
+                    node = parseInlineValue(split.valueColumn, entryColumn);
+                }
+                value[key] = node.value;
+            }
+            const lastLine = lines[Math.max(i - 1, entryLine)];
+            entries.push({ key, start: line.start + entryColumn, lineStart: line.start, end: lastLine.end, next: lastLine.next, node });
+        }
+        return { kind: isSequence ? 'sequence' : 'mapping', indent: column, start, end: entries.at(-1).end, entries, value };
+    };
+    const parseSequence = column => parseCollection(column, true);
+    const parseMapping = column => parseCollection(column, false);
+    skipBlank();
+    if (i < lines.length && /^---(?:\s|$)/.test(lines[i].content)) {
+        if (lines[i].content.slice(3).trim()) {
+            fail('content after "---" is not supported');
+        }
+        i++;
+    }
+    const root = parseBlockNode(-1, false);
+    skipBlank();
+    if (i < lines.length && /^\.\.\.(?:\s|$)/.test(lines[i].content)) {
+        i++;
+        skipBlank();
+    }
+    if (i < lines.length) {
+        fail(/^---(?:\s|$)/.test(lines[i].content) ? 'multi-document files are not supported' : 'unexpected content');
+    }
+    return root;
+}
+function yamlScalar(value, inFlow = false) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) {
+            return '.nan';
+        }
+        return Number.isFinite(value) ? String(value) : value > 0 ? '.inf' : '-.inf';
+    }
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+    // Plain when it reads back as the same string, double-quoted otherwise
+    const plain = /^[^\s?:,[\]{}#&*!|>'"%@`-][^\n]*$/.test(value) && value === value.trim()
+        && !/:\s|\s#|:$/.test(value) && !(inFlow && /[,[\]{}]/.test(value))
+        && !/[\x00-\x1f\x7f]/.test(value) && resolveYamlScalar(value) === value;
+    return plain ? value : JSON.stringify(value);
+}
+function renderYamlFlow(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(renderYamlFlow).join(', ')}]`;
+    }
+    if (isPlainObject(value)) {
+        return `{${Object.entries(value).map(([key, item]) => `${yamlScalar(key, true)}: ${renderYamlFlow(item)}`).join(', ')}}`;
+    }
+    return yamlScalar(value, true);
+}
+// Renders "key: value" (prefix "key:") or a sequence item (prefix "-"). The first line
+// carries no indentation, so it can replace text that starts mid-line.
+function renderYamlEntry(prefix, value, indent, unit) {
+    const isCollection = (Array.isArray(value) && value.length > 0) || (isPlainObject(value) && Object.keys(value).length > 0);
+    if (!isCollection) {
+        return `${prefix} ${Array.isArray(value) || isPlainObject(value) ? renderYamlFlow(value) : yamlScalar(value)}`;
+    }
+    if (prefix === '-') {
+        return `- ${renderYamlBlock(value, indent + 2, unit).trimStart()}`;
+    }
+    return `${prefix}\n${renderYamlBlock(value, indent + unit, unit)}`;
+}
+function renderYamlBlock(value, indent, unit) {
+    const entries = Array.isArray(value)
+        ? value.map(item => renderYamlEntry('-', item, indent, unit))
+        : Object.entries(value).map(([key, item]) => renderYamlEntry(`${yamlScalar(key)}:`, item, indent, unit));
+    return entries.map(entry => ' '.repeat(indent) + entry).join('\n');
+}
+function renderYamlDocument(value, unit) {
+    const isCollection = (Array.isArray(value) && value.length > 0) || (isPlainObject(value) && Object.keys(value).length > 0);
+    return `${isCollection ? renderYamlBlock(value, 0, unit) : renderYamlFlow(value)}\n`;
+}
+// Finds the node at keys; stops early at a flow collection, whose contents have no offsets
+function yamlNodeAt(root, keys) {
+    let node = root;
+    const trail = [];
+    for (let depth = 0; depth < keys.length; depth++) {
+        if (node.kind === 'flow') {
+            return { node, trail, inner: keys.slice(depth) };
+        }
+        const entry = node.kind === 'mapping' ? node.entries.find(candidate => candidate.key === keys[depth]) : node.entries[keys[depth]];
+        trail.push({ container: node, entry });
+        node = entry.node;
+    }
+    return { node, trail, inner: [] };
+}
+function yamlIndentUnit(text) {
+    return detectIndentUnit(text)?.length || 2;
+}
+function replaceYamlEntry(text, { container, entry }, value) {
+    const prefix = container.kind === 'mapping' ? `${yamlScalar(entry.key)}:` : '-';
+    return spliceText(text, entry.start, entry.end, renderYamlEntry(prefix, value, entry.start - entry.lineStart, yamlIndentUnit(text)));
+}
+function appendYamlText(text, addition) {
+    return (text && !text.endsWith('\n') ? `${text}\n` : text) + addition;
+}
+const yamlStructuredFormat = {
+    parse(text) {
+        const root = parseYamlSource(text);
+        return { data: root ? root.value : null, root };
+    },
+    replace(text, doc, keys, value) {
+        if (keys.length === 0) {
+            // An empty document keeps its comments
+            return doc.root ? renderYamlDocument(value, yamlIndentUnit(text)) : appendYamlText(text, renderYamlDocument(value, yamlIndentUnit(text)));
+        }
+        const { node, trail, inner } = yamlNodeAt(doc.root, keys);
+        const isCollection = Array.isArray(value) || isPlainObject(value);
+        if (inner.length || (node.kind === 'flow' && isCollection)) {
+            return spliceText(text, node.start, node.end, renderYamlFlow(updateStructuredValue(node.value, inner, () => value)));
+        }
+        // Scalars are swapped in place so a trailing comment survives
+        if (node.kind === 'scalar' && !node.block && !isCollection) {
+            return spliceText(text, node.start, node.end, (node.implicit ? ' ' : '') + yamlScalar(value));
+        }
+        return replaceYamlEntry(text, trail.at(-1), value);
+    },
+    insertMember(text, doc, keys, key, value) {
+        const { node, inner } = yamlNodeAt(doc.root, keys);
+        if (node.kind === 'flow') {
+            return spliceText(text, node.start, node.end, renderYamlFlow(updateStructuredValue(node.value, inner, parent => ({ ...parent, [key]: value }))));
+        }
+        const entry = renderYamlEntry(`${yamlScalar(key)}:`, value, node.indent, yamlIndentUnit(text));
+        return spliceText(text, node.end, node.end, `\n${' '.repeat(node.indent)}${entry}`);
+    },
+    insertItem(text, doc, keys, value) {
+        const { node, inner } = yamlNodeAt(doc.root, keys);
+        if (node.kind === 'flow') {
+            return spliceText(text, node.start, node.end, renderYamlFlow(updateStructuredValue(node.value, inner, parent => [...parent, value])));
+        }
+        const entry = renderYamlEntry('-', value, node.indent, yamlIndentUnit(text));
+        return spliceText(text, node.end, node.end, `\n${' '.repeat(node.indent)}${entry}`);
+    },
+    remove(text, doc, keys) {
+        const { node, trail, inner } = yamlNodeAt(doc.root, keys);
+        if (inner.length) {
+            return spliceText(text, node.start, node.end, renderYamlFlow(updateStructuredValue(node.value, inner.slice(0, -1), parent => withoutStructuredKey(parent, inner.at(-1)))));
+        }
+        const { container, entry } = trail.at(-1);
+        const parentKeys = keys.slice(0, -1);
+        if (container.entries.length === 1 && parentKeys.length) {
+            return yamlStructuredFormat.replace(text, doc, parentKeys, container.kind === 'mapping' ? {} : []);
+        }
+        // An entry that shares its line with a "- " is rewritten together with its parent
+        if (text.slice(entry.lineStart, entry.start).trim()) {
+            return yamlStructuredFormat.replace(text, doc, parentKeys, withoutStructuredKey(container.value, keys.at(-1)));
+        }
+        return spliceText(text, entry.lineStart, entry.next, '');
+    },
+};
+
+// TOML: tables and arrays of tables are tracked as sections, key/value pairs by the
+// offsets of their values. Values inside inline tables and arrays are re-rendered
+// together with the pair that holds them.
+class TomlDateTime {
+    constructor(text) {
+        this.text = text;
+    }
+    toJSON() {
+        return this.text;
+    }
+}
+function parseTomlSource(text) {
+    let pos = 0;
+    const fail = message => {
+        throw new Error(`Invalid TOML at line ${lineNumberAt(text, pos)}: ${message}`);
+    };
+    const matchAt = pattern => {
+        pattern.lastIndex = pos;
+        const match = pattern.exec(text);
+        if (match) {
+            pos += match[0].length;
+        }
+        return match?.[0];
+    };
+    const skipSpaces = () => matchAt(/[ \t]*/y);
+    const skipBlank = () => matchAt(/(?:\s|#[^\n]*)*/y);
+    const endOfLine = () => {
+        matchAt(/[ \t]*(?:#[^\n]*)?/y);
+        if (pos < text.length && text[pos] !== '\n') {
+            fail(`unexpected "${text[pos]}"`);
+        }
+    };
+    const parseEscape = () => {
+        const escape = text[pos + 1];
+        const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+        if (Object.hasOwn(simple, escape)) {
+            pos += 2;
+            return simple[escape];
+        }
+        const size = { u: 4, U: 8 }[escape];
+        const hex = size ? text.slice(pos + 2, pos + 2 + size) : '';
+        if (!size || hex.length !== size || !/^[0-9a-fA-F]+$/.test(hex)) {
+            fail(`invalid escape "\\${escape ?? ''}"`);
+        }
+        pos += 2 + size;
+        return String.fromCodePoint(parseInt(hex, 16));
+    };
+    const parseString = () => {
+        const quote = text[pos];
+        const multiline = text.startsWith(quote.repeat(3), pos);
+        pos += multiline ? 3 : 1;
+        if (multiline && text[pos] === '\n') {
+            pos++;
+        }
+        let value = '';
+        for (;;) {
+            const ch = text[pos];
+            if (ch === undefined || (ch === '\n' && !multiline)) {
+                fail('unterminated string');
+            }
+            if (ch === quote && (!multiline || text.startsWith(quote.repeat(3), pos))) {
+                if (!multiline) {
+                    pos++;
+                    return value;
+                }
+                // Up to two quotes may directly precede the closing delimiter
+                const run = matchAt(new RegExp(`${quote}{3,5}`, 'y'));
+                return value + quote.repeat(run.length - 3);
+            }
+            if (ch === '\\' && quote === '"') {
+                if (multiline && matchAt(/\\[ \t]*\n\s*/y)) {
+                    continue;
+                }
+                value += parseEscape();
+                continue;
+            }
+            value += ch;
+            pos++;
+        }
+    };
+    const parseKey = () => {
+        const parts = [];
+        for (;;) {
+            skipSpaces();
+            if (text[pos] === '"' || text[pos] === "'") {
+                if (text.startsWith(text[pos].repeat(3), pos)) {
+                    fail('multi-line strings cannot be keys');
+                }
+                parts.push(parseString());
+            }
+            else {
+                const bare = matchAt(/[A-Za-z0-9_-]+/y);
+                if (bare === undefined) {
+                    fail('expected a key');
+                }
+                parts.push(bare);
+            }
+            skipSpaces();
+            if (text[pos] !== '.') {
+                return parts;
+            }
+            pos++;
+        }
+    };
+    const assignKey = (object, parts, value) => {
+        let target = object;
+        for (const part of parts.slice(0, -1)) {
+            target[part] ??= {};
+            if (!isPlainObject(target[part])) {
+                fail(`"${part}" is not a table`);
+            }
+            target = target[part];
+        }
+        if (Object.hasOwn(target, parts.at(-1))) {
+            fail(`duplicate key "${parts.join('.')}"`);
+        }
+        target[parts.at(-1)] = value;
+    };
+    const parseNumber = raw => {
+        const cleaned = raw.replace(/_/g, '');
+        if (/^[+-]?(?:inf|nan)$/.test(cleaned)) {
+            return cleaned.endsWith('nan') ? NaN : cleaned.startsWith('-') ? -Infinity : Infinity;
+        }
+        const radix = { x: 16, o: 8, b: 2 }[cleaned[1]];
+        return radix ? parseInt(cleaned.slice(2), radix) : Number(cleaned);
+    };
+    const parseValue = () => {
+        const ch = text[pos];
+        if (ch === '"' || ch === "'") {
+            return parseString();
+        }
+        if (ch === '[') {
+            const start = pos;
+            pos++;
+            const items = [];
+            const spans = [];
+            for (;;) {
+                skipBlank();
+                if (text[pos] === ']') {
+                    pos++;
+                    arraySpans.set(start, spans);
+                    return items;
+                }
+                const itemStart = pos;
+                items.push(parseValue());
+                spans.push({ start: itemStart, end: pos });
+                skipBlank();
+                if (text[pos] === ',') {
+                    pos++;
+                }
+                else if (text[pos] !== ']') {
+                    fail('expected "," or "]" in array');
+                }
+            }
+        }
+        if (ch === '{') {
+            pos++;
+            const table = {};
+            skipSpaces();
+            if (text[pos] === '}') {
+                pos++;
+                return table;
+            }
+            for (;;) {
+                const parts = parseKey();
+                if (text[pos] !== '=') {
+                    fail('expected "=" in inline table');
+                }
+                pos++;
+                skipSpaces();
+                assignKey(table, parts, parseValue());
+                skipSpaces();
+                if (text[pos] === '}') {
+                    pos++;
+                    return table;
+                }
+                if (text[pos] !== ',') {
+                    fail('expected "," or "}" in inline table');
+                }
+                pos++;
+            }
+        }
+        const boolean = matchAt(/(?:true|false)(?![\w-])/y);
+        if (boolean) {
+            return boolean === 'true';
+        }
+        const dateTime = matchAt(/\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y);
+        if (dateTime) {
+            return new TomlDateTime(dateTime);
+        }
+        const number = matchAt(/[+-]?(?:inf|nan)|0x[0-9A-Fa-f_]+|0o[0-7_]+|0b[01_]+|[+-]?\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?/y);
+        if (number) {
+            return parseNumber(number);
+        }
+        fail(pos < text.length ? `unexpected "${text[pos]}"` : 'unexpected end of file');
+    };
+    // Header paths go through arrays of tables into their last element
+    const openTable = (parts, isArray) => {
+        let target = data;
+        const keys = [];
+        parts.forEach((part, index) => {
+            const isLast = index === parts.length - 1;
+            target[part] ??= isLast && isArray ? [] : {};
+            keys.push(part);
+            if (isLast && isArray) {
+                if (!Array.isArray(target[part])) {
+                    fail(`"${parts.join('.')}" is not an array of tables`);
+                }
+                target[part].push({});
+            }
+            if (Array.isArray(target[part])) {
+                keys.push(target[part].length - 1);
+                target = target[part].at(-1);
+            }
+            else if (isPlainObject(target[part])) {
+                target = target[part];
+            }
+            else {
+                fail(`"${part}" is not a table`);
+            }
+        });
+        return { keys, object: target };
+    };
+    const data = {};
+    // Item positions of arrays by the offset of their "[", so appends keep the array's layout
+    const arraySpans = new Map();
+    const root = { keys: [], start: 0, end: text.length, contentEnd: null, object: data };
+    const sections = [];
+    const pairs = [];
+    let section = root;
+    for (;;) {
+        skipBlank();
+        if (pos >= text.length) {
+            break;
+        }
+        const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
+        if (text[pos] === '[') {
+            const isArray = text.startsWith('[[', pos);
+            pos += isArray ? 2 : 1;
+            const parts = parseKey();
+            if (!text.startsWith(isArray ? ']]' : ']', pos)) {
+                fail('expected "]" after table name');
+            }
+            pos += isArray ? 2 : 1;
+            endOfLine();
+            const opened = openTable(parts, isArray);
+            section.end = lineStart;
+            section = { keys: opened.keys, isArray, start: lineStart, end: text.length, contentEnd: pos, object: opened.object };
+            sections.push(section);
+            continue;
+        }
+        const parts = parseKey();
+        if (text[pos] !== '=') {
+            fail('expected "=" after key');
+        }
+        pos++;
+        skipSpaces();
+        const valueStart = pos;
+        const value = parseValue();
+        const valueEnd = pos;
+        endOfLine();
+        assignKey(section.object, parts, value);
+        pairs.push({ keys: [...section.keys, ...parts], lineStart, valueStart, valueEnd, lineEnd: pos, items: arraySpans.get(valueStart) });
+        section.contentEnd = pos;
+    }
+    return { data, root, sections, pairs };
+}
+function tomlKey(key) {
+    return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+function tomlInline(value) {
+    if (value instanceof TomlDateTime) {
+        return value.text;
+    }
+    if (typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) {
+            return 'nan';
+        }
+        return Number.isFinite(value) ? String(value) : value > 0 ? 'inf' : '-inf';
+    }
+    if (typeof value === 'boolean') {
+        return String(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(tomlInline).join(', ')}]`;
+    }
+    if (isPlainObject(value)) {
+        const entries = Object.entries(value).map(([key, item]) => `${tomlKey(key)} = ${tomlInline(item)}`);
+        return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+    }
+    throw new Error('TOML has no null value; delete the key instead');
+}
+function isTomlTableArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+}
+// Renders a table as a [header] section (or [[header]] for an array element), followed
+// by sections for its sub-tables. Header names skip the array indexes in keys.
+function tomlSectionText(keys, object, isArray) {
+    const name = keys.filter(key => typeof key === 'string').map(tomlKey).join('.');
+    const lines = keys.length ? [isArray ? `[[${name}]]` : `[${name}]`] : [];
+    const subsections = [];
+    for (const [key, value] of Object.entries(object)) {
+        if (isPlainObject(value) && Object.keys(value).length) {
+            subsections.push(tomlSectionText([...keys, key], value, false));
+        }
+        else if (isTomlTableArray(value)) {
+            value.forEach((item, index) => subsections.push(tomlSectionText([...keys, key, index], item, true)));
+        }
+        else {
+            lines.push(`${tomlKey(key)} = ${tomlInline(value)}`);
+        }
+    }
+    // A header with nothing under it but sub-tables is left implicit
+    const head = lines.length > 1 || subsections.length === 0 ? [lines.join('\n')] : [];
+    return [...head, ...subsections].filter(Boolean).join('\n\n');
+}
+function isKeyPrefix(prefix, keys) {
+    return prefix.length <= keys.length && prefix.every((key, index) => String(key) === String(keys[index]));
+}
+// The pair whose value holds keys, or is keys itself
+function findTomlPair(doc, keys) {
+    return doc.pairs.find(pair => isKeyPrefix(pair.keys, keys));
+}
+function replaceTomlPair(text, doc, pair, keys, update) {
+    const value = updateStructuredValue(getStructuredValue(doc.data, pair.keys), keys.slice(pair.keys.length), update);
+    return spliceText(text, pair.valueStart, pair.valueEnd, tomlInline(value));
+}
+// Sections and dotted-key lines that make up the table at keys
+function tomlRanges(doc, keys) {
+    const sections = doc.sections.filter(section => isKeyPrefix(keys, section.keys));
+    const pairs = doc.pairs.filter(pair => isKeyPrefix(keys, pair.keys)
+        && !sections.some(section => pair.lineStart >= section.start && pair.lineStart < section.end));
+    return [
+        ...sections.map(section => ({ start: section.start, end: section.end, isSection: true })),
+        ...pairs.map(pair => ({ start: pair.lineStart, end: pair.lineEnd + 1, isSection: false })),
+    ].sort((a, b) => a.start - b.start);
+}
+// New sections go after the array element they belong to, or at the end of the file
+function insertTomlSection(text, doc, parentKeys, sectionText) {
+    const lastIndex = parentKeys.findLastIndex(key => typeof key === 'number');
+    if (lastIndex !== -1) {
+        const elementKeys = parentKeys.slice(0, lastIndex + 1);
+        const anchor = doc.sections.filter(section => isKeyPrefix(elementKeys, section.keys)).at(-1);
+        return spliceText(text, anchor.contentEnd, anchor.contentEnd, `\n\n${sectionText}`);
+    }
+    const trimmed = text.trimEnd();
+    return `${trimmed}${trimmed ? '\n\n' : ''}${sectionText}\n`;
+}
+const tomlStructuredFormat = {
+    parse(text) {
+        return parseTomlSource(text);
+    },
+    replace(text, doc, keys, value) {
+        const pair = findTomlPair(doc, keys);
+        if (pair) {
+            return replaceTomlPair(text, doc, pair, keys, () => value);
+        }
+        if (keys.length === 0) {
+            if (!isPlainObject(value)) {
+                throw new Error('A TOML document must be a table');
+            }
+            return `${tomlSectionText([], value, false)}\n`;
+        }
+        // A table written as sections: drop them and put the new value where the first one was
+        const ranges = tomlRanges(doc, keys);
+        const removed = tomlStructuredFormat.remove(text, doc, keys);
+        const isElement = typeof keys.at(-1) === 'number';
+        if (ranges[0]?.isSection && (isPlainObject(value) || (!isElement && isTomlTableArray(value)))) {
+            const sectionText = isPlainObject(value)
+                ? tomlSectionText(keys, value, isElement)
+                : value.map((item, index) => tomlSectionText([...keys, index], item, true)).join('\n\n');
+            const at = ranges[0].start;
+            return spliceText(removed, at, at, `${sectionText}\n${at < removed.length ? '\n' : ''}`);
+        }
+        if (isElement) {
+            throw new Error(`${formatStructuredPath(keys)} is a table in an array of tables; set it to an object`);
+        }
+        return tomlStructuredFormat.insertMember(removed, parseTomlSource(removed), keys.slice(0, -1), keys.at(-1), value);
+    },
+    insertMember(text, doc, keys, key, value) {
+        const pair = findTomlPair(doc, keys);
+        if (pair) {
+            return replaceTomlPair(text, doc, pair, keys, parent => ({ ...parent, [key]: value }));
+        }
+        const memberKeys = [...keys, key];
+        if (isPlainObject(value) && Object.keys(value).length) {
+            return insertTomlSection(text, doc, keys, tomlSectionText(memberKeys, value, false));
+        }
+        if (isTomlTableArray(value)) {
+            return insertTomlSection(text, doc, keys, value.map((item, index) => tomlSectionText([...memberKeys, index], item, true)).join('\n\n'));
+        }
+        // Otherwise a key = value line in the innermost section holding the parent
+        const section = [doc.root, ...doc.sections]
+            .filter(candidate => isKeyPrefix(candidate.keys, keys))
+            .reduce((best, candidate) => candidate.keys.length > best.keys.length ? candidate : best);
+        const line = `${memberKeys.slice(section.keys.length).map(tomlKey).join('.')} = ${tomlInline(value)}`;
+        if (section.contentEnd !== null) {
+            return spliceText(text, section.contentEnd, section.contentEnd, `\n${line}`);
+        }
+        // First key of the root table goes just before the first section
+        const at = section.end;
+        return spliceText(text, at, at, `${at > 0 && text[at - 1] !== '\n' ? '\n' : ''}${line}\n${at < text.length ? '\n' : ''}`);
+    },
+    insertItem(text, doc, keys, value) {
+        const pair = findTomlPair(doc, keys);
+        if (pair && pair.keys.length === keys.length && pair.items?.length) {
+            const last = pair.items.at(-1);
+            // Follow the array's layout: one item per line, or everything on one line
+            if (!text.slice(pair.valueStart, pair.items[0].start).includes('\n')) {
+                return spliceText(text, last.end, last.end, `, ${tomlInline(value)}`);
+            }
+            return appendItemLine(text, last, tomlInline(value), '#[^\\n]*');
+        }
+        if (pair) {
+            return replaceTomlPair(text, doc, pair, keys, items => [...items, value]);
+        }
+        if (!isPlainObject(value)) {
+            throw new Error(`${formatStructuredPath(keys)} is an array of tables; append an object`);
+        }
+        const anchor = doc.sections.filter(section => isKeyPrefix(keys, section.keys)).at(-1);
+        const index = getStructuredValue(doc.data, keys).length;
+        return spliceText(text, anchor.contentEnd, anchor.contentEnd, `\n\n${tomlSectionText([...keys, index], value, true)}`);
+    },
+    remove(text, doc, keys) {
+        const pair = findTomlPair(doc, keys);
+        if (pair && pair.keys.length < keys.length) {
+            return replaceTomlPair(text, doc, pair, keys.slice(0, -1), parent => withoutStructuredKey(parent, keys.at(-1)));
+        }
+        const ranges = tomlRanges(doc, keys);
+        if (ranges.length === 0) {
+            throw new Error(`Cannot find where ${formatStructuredPath(keys)} is defined`);
+        }
+        return ranges.reverse().reduce((result, range) => result.slice(0, range.start) + result.slice(range.end), text);
+    },
+};
+const STRUCTURED_FORMATS = {
+    json: jsonStructuredFormat,
+    yaml: yamlStructuredFormat,
+    toml: tomlStructuredFormat,
+};
+// Splits a path into the keys that exist in data and the segments after them
+function resolveStructuredPath(data, segments) {
+    const found = [];
+    let value = data;
+    for (let i = 0; i < segments.length; i++) {
+        const key = resolveStructuredKey(value, segments[i]);
+        if (key === undefined) {
+            return { found, missing: segments.slice(i) };
+        }
+        found.push(key);
+        value = value[key];
+    }
+    return { found, missing: [] };
+}
+// Adds a value where the path does not exist yet, creating objects along the way
+function addStructuredValue(format, text, doc, found, missing, value) {
+    const parent = getStructuredValue(doc.data, found);
+    const displayPath = formatStructuredPath([...found, ...missing]);
+    if (Array.isArray(parent)) {
+        if (missing.length === 1 && Number(missing[0]) === parent.length) {
+            return format.insertItem(text, doc, found, value);
+        }
+        throw new Error(`${displayPath} is out of range (${formatStructuredPath(found)} has ${parent.length} items); use append to add items`);
+    }
+    if (missing.some(segment => typeof segment === 'number')) {
+        throw new Error(`Cannot create ${displayPath}: array items can only be added with append`);
+    }
+    const nested = missing.slice(1).reduceRight((inner, key) => ({ [key]: inner }), value);
+    if (parent === null || parent === undefined) {
+        return format.replace(text, doc, found, { [missing[0]]: nested });
+    }
+    if (!isPlainObject(parent)) {
+        throw new Error(`Cannot create ${displayPath}: ${formatStructuredPath(found)} is not an object`);
+    }
+    return format.insertMember(text, doc, found, missing[0], nested);
+}
+function applyStructuredOperation(format, text, operation) {
+    const doc = format.parse(text);
+    const segments = parseStructuredPath(operation.path);
+    if (segments.some(segment => typeof segment === 'object')) {
+        throw new Error(`Path "${operation.path}" must name a single value; wildcards and .. only work in query_structured_file`);
+    }
+    const { found, missing } = resolveStructuredPath(doc.data, segments);
+    if (operation.op === 'delete') {
+        if (missing.length) {
+            throw new Error(`Nothing to delete at ${operation.path}`);
+        }
+        if (found.length === 0) {
+            throw new Error('Cannot delete the whole document');
+        }
+        return format.remove(text, doc, found);
+    }
+    if (operation.value === undefined) {
+        throw new Error(`${operation.op} at ${operation.path} needs a value`);
+    }
+    if (operation.op === 'append') {
+        if (missing.length) {
+            return addStructuredValue(format, text, doc, found, missing, [operation.value]);
+        }
+        if (!Array.isArray(getStructuredValue(doc.data, found))) {
+            throw new Error(`Cannot append to ${operation.path}: it is not an array`);
+        }
+        return format.insertItem(text, doc, found, operation.value);
+    }
+    return missing.length
+        ? addStructuredValue(format, text, doc, found, missing, operation.value)
+        : format.replace(text, doc, found, operation.value);
+}
+async function queryStructuredFile(filePath, query, formatName) {
+    const format = STRUCTURED_FORMATS[detectStructuredFormat(filePath, formatName)];
+    const { text } = await readTextFile(filePath);
+    const segments = parseStructuredPath(query);
+    return formatStructuredMatches(queryStructuredValue(format.parse(normalizeLineEndings(text)).data, segments), segments, query);
+}
+async function updateStructuredFile(filePath, operations, formatName, dryRun = false) {
+    const name = detectStructuredFormat(filePath, formatName);
+    const format = STRUCTURED_FORMATS[name];
+    // Like edit_file, work on LF text and restore the file's encoding and line endings on write
+    const { text, format: textFormat } = await readTextFile(filePath);
+    const content = normalizeLineEndings(text);
+    let modifiedContent = content;
+    operations.forEach((operation, index) => {
+        try {
+            modifiedContent = applyStructuredOperation(format, modifiedContent, operation);
+        }
+        catch (error) {
+            throw new Error(`Operation ${index + 1} (${operation.op} ${operation.path}): ${error instanceof Error ? error.message : String(error)}`);
+        }
+    });
+    // Never write a file that no longer parses
+    try {
+        format.parse(modifiedContent);
+    }
+    catch (error) {
+        throw new Error(`Update would leave ${filePath} as invalid ${name.toUpperCase()}, nothing was written: ${error instanceof Error ? error.message : String(error)}`);
+    }
+    const diff = createUnifiedDiff(content, modifiedContent, filePath);
+    if (!dryRun && modifiedContent !== content) {
+        await snapshotFile(filePath, 'update_structured_file');
+        recordAuditBytes(await writeTextFile(filePath, modifiedContent, textFormat));
+    }
+    return formatDiff(diff);
+}
+
+// Table reading utilities
+const TABLE_DELIMITERS = { comma: ',', tab: '\t', semicolon: ';', pipe: '|' };
+// Checked in order; a column gets the first type that fits all of its non-empty values
+// Values with leading zeros (zip codes, IDs) or integers beyond 2^53 would not survive
+// conversion to a number, so they stay strings
+function isSafeTableInteger(value) {
+    return /^[+-]?(?:0|[1-9]\d*)$/.test(value) && Number.isSafeInteger(Number(value));
+}
+const TABLE_COLUMN_TYPES = [
+    ['integer', isSafeTableInteger],
+    ['number', value => /^[+-]?(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?$/.test(value) &&
+            Number.isFinite(Number(value)) && (/[.eE]/.test(value) || isSafeTableInteger(value))],
+    ['boolean', value => /^(?:true|false)$/i.test(value)],
+    ['date', value => /^\d{4}-\d{2}-\d{2}$/.test(value)],
+    ['datetime', value => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/.test(value)],
+];
+// Picks the candidate delimiter that occurs most often outside quotes in the first line
+function guessTableDelimiter(firstLine) {
+    const counts = new Map(Object.values(TABLE_DELIMITERS).map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+    for (const ch of firstLine) {
+        if (ch === '"') {
+            inQuotes = !inQuotes;
+        }
+        else if (!inQuotes && counts.has(ch)) {
+            counts.set(ch, counts.get(ch) + 1);
+        }
+    }
+    const [best, count] = [...counts].reduce((a, b) => b[1] > a[1] ? b : a);
+    return count > 0 ? best : ',';
+}
+// RFC 4180 parser fed in chunks: quoted fields may contain delimiters, "" and newlines
+function createCsvParser(delimiter, onRow) {
+    const special = new RegExp(`["${delimiter}\\n\\r]`, 'g');
+    let row = [];
+    let field = '';
+    let fieldStarted = false;
+    let inQuotes = false;
+    let quotePending = false;
+    const endField = () => {
+        row.push(field);
+        field = '';
+        fieldStarted = false;
+    };
+    const endRow = () => {
+        endField();
+        // Blank lines are not rows
+        if (row.length > 1 || row[0] !== '') {
+            onRow(row);
+        }
+        row = [];
+    };
+    return {
+        push(chunk) {
+            let i = 0;
+            while (i < chunk.length) {
+                if (inQuotes) {
+                    if (quotePending) {
+                        quotePending = false;
+                        if (chunk[i] === '"') {
+                            field += '"';
+                            i++;
+                            continue;
+                        }
+                        inQuotes = false;
+                        continue;
+                    }
+                    const close = chunk.indexOf('"', i);
+                    if (close === -1) {
+                        field += chunk.slice(i);
+                        return;
+                    }
+                    field += chunk.slice(i, close);
+                    quotePending = true;
+                    i = close + 1;
+                    continue;
+                }
+                special.lastIndex = i;
+                const match = special.exec(chunk);
+                const stop = match ? match.index : chunk.length;
+                if (stop > i) {
+                    field += chunk.slice(i, stop);
+                    fieldStarted = true;
+                }
+                if (!match) {
+                    return;
+                }
+                i = stop + 1;
+                const ch = match[0];
+                if (ch === delimiter) {
+                    endField();
+                }
+                else if (ch === '\n') {
+                    endRow();
+                }
+                else if (ch === '"') {
+                    // A quote only opens a quoted field at its start
+                    if (fieldStarted) {
+                        field += ch;
+                    }
+                    else {
+                        inQuotes = true;
+                        fieldStarted = true;
+                    }
+                }
+            }
+        },
+        end() {
+            if (fieldStarted || field || row.length) {
+                endRow();
+            }
+        },
+    };
+}
+// Compares numerically when both sides are numbers, as strings otherwise
+function compareTableValues(a, b) {
+    // Compared exactly, beyond the precision of a number
+    if (/^[+-]?\d+$/.test(a) && /^[+-]?\d+$/.test(b)) {
+        const difference = BigInt(a) - BigInt(b);
+        return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+    }
+    if (a.trim() !== '' && b.trim() !== '') {
+        const x = Number(a);
+        const y = Number(b);
+        if (!Number.isNaN(x) && !Number.isNaN(y)) {
+            return x - y;
+        }
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+// Finds a column by exact name, falling back to a unique case-insensitive match
+function findTableColumn(names, name) {
+    let index = names.indexOf(name);
+    if (index === -1) {
+        const matches = names.flatMap((candidate, i) => candidate.toLowerCase() === name.toLowerCase() ? [i] : []);
+        index = matches.length === 1 ? matches[0] : -1;
+    }
+    if (index === -1) {
+        throw new Error(`Unknown column "${name}". Columns: ${names.join(', ')}`);
+    }
+    return index;
+}
+const TABLE_FILTER_OPERATORS = {
+    '=': (a, b) => compareTableValues(a, b) === 0,
+    '==': (a, b) => compareTableValues(a, b) === 0,
+    '!=': (a, b) => compareTableValues(a, b) !== 0,
+    '<>': (a, b) => compareTableValues(a, b) !== 0,
+    '<': (a, b) => compareTableValues(a, b) < 0,
+    '<=': (a, b) => compareTableValues(a, b) <= 0,
+    '>': (a, b) => compareTableValues(a, b) > 0,
+    '>=': (a, b) => compareTableValues(a, b) >= 0,
+    contains: (a, b) => a.toLowerCase().includes(b.toLowerCase()),
+    startswith: (a, b) => a.toLowerCase().startsWith(b.toLowerCase()),
+    endswith: (a, b) => a.toLowerCase().endsWith(b.toLowerCase()),
+};
+// Compiles expressions like: age >= 30 and (city = 'Oslo' or name contains "son")
+// into a predicate over a row's fields
+function compileTableFilter(expression, names) {
+    const tokens = [];
+    const tokenPattern = /\s*(?:(\(|\))|(==|!=|<>|<=|>=|=|<|>)|'((?:[^']|'')*)'|"((?:[^"]|"")*)"|`([^`]*)`|([^\s()=!<>'"`]+))/y;
+    for (let pos = 0; pos < expression.trimEnd().length;) {
+        tokenPattern.lastIndex = pos;
+        const match = tokenPattern.exec(expression);
+        if (!match) {
+            throw new Error(`Invalid filter at "${expression.slice(pos).trim()}"`);
+        }
+        pos = tokenPattern.lastIndex;
+        if (match[1] || match[2]) {
+            tokens.push({ symbol: match[1] ?? match[2] });
+        }
+        else if (match[6] !== undefined) {
+            tokens.push({ word: match[6] });
+        }
+        else {
+            tokens.push({ quoted: (match[3] ?? match[4] ?? match[5]).replace(/''|""/g, quote => quote[0]) });
+        }
+    }
+    let pos = 0;
+    const peekWord = () => tokens[pos]?.word?.toLowerCase();
+    const fail = message => {
+        throw new Error(`Invalid filter "${expression}": ${message}`);
+    };
+    const text = token => token?.word ?? token?.quoted;
+    const parseOr = () => {
+        let left = parseAnd();
+        while (peekWord() === 'or') {
+            pos++;
+            const a = left;
+            const b = parseAnd();
+            left = row => a(row) || b(row);
+        }
+        return left;
+    };
+    const parseAnd = () => {
+        let left = parseUnary();
+        while (peekWord() === 'and') {
+            pos++;
+            const a = left;
+            const b = parseUnary();
+            left = row => a(row) && b(row);
+        }
+        return left;
+    };
+    const parseUnary = () => {
+        if (peekWord() === 'not') {
+            pos++;
+            const inner = parseUnary();
+            return row => !inner(row);
+        }
+        if (tokens[pos]?.symbol === '(') {
+            pos++;
+            const inner = parseOr();
+            if (tokens[pos++]?.symbol !== ')') {
+                fail('missing ")"');
+            }
+            return inner;
+        }
+        return parseComparison();
+    };
+    const parseComparison = () => {
+        const columnName = text(tokens[pos++]);
+        if (columnName === undefined) {
+            fail('expected a column name');
+        }
+        const column = findTableColumn(names, columnName);
+        if (peekWord() === 'is') {
+            pos++;
+            const negate = peekWord() === 'not';
+            if (negate) {
+                pos++;
+            }
+            if (peekWord() !== 'empty') {
+                fail('expected "is empty" or "is not empty"');
+            }
+            pos++;
+            return row => (row[column].trim() === '') !== negate;
+        }
+        const operatorToken = tokens[pos++];
+        const operator = operatorToken?.symbol ?? operatorToken?.word?.toLowerCase();
+        const value = text(tokens[pos++]);
+        if (value === undefined) {
+            fail(`expected a value after ${columnName} ${operator ?? ''}`.trimEnd());
+        }
+        if (operator === 'matches') {
+            let regex;
+            try {
+                regex = new RegExp(value, 'i');
+            }
+            catch (error) {
+                fail(`invalid regular expression: ${error instanceof Error ? error.message : String(error)}`);
+            }
+            return row => regex.test(row[column]);
+        }
+        const compare = TABLE_FILTER_OPERATORS[operator];
+        if (!compare) {
+            fail(`unknown operator "${operator ?? ''}"`);
+        }
+        return row => compare(row[column], value);
+    };
+    const predicate = parseOr();
+    if (pos < tokens.length) {
+        fail(`unexpected "${text(tokens[pos]) ?? tokens[pos].symbol}"`);
+    }
+    return predicate;
+}
+function convertTableValue(value, type) {
+    if (value === '') {
+        return null;
+    }
+    if (type === 'integer' || type === 'number') {
+        return Number(value);
+    }
+    if (type === 'boolean') {
+        return value.toLowerCase() === 'true';
+    }
+    return value;
+}
+// Streams the file once: infers column types and counts rows while keeping only the
+// requested page. With sortBy, the best offset + limit rows are kept as they stream by.
+async function readTable(filePath, options) {
+    const { hasHeader, filter, sortBy, offset, limit } = options;
+    const pageEnd = offset + limit;
+    if (sortBy?.length && pageEnd > MAX_TABLE_SORT_WINDOW) {
+        throw new Error(`offset + limit may be at most ${MAX_TABLE_SORT_WINDOW} when sorting`);
+    }
+    const format = await sniffTextFormat(filePath, options.encoding);
+    let delimiter = TABLE_DELIMITERS[options.delimiter] ?? null;
+    if (!delimiter && ['.tsv', '.tab'].includes(path.extname(filePath).toLowerCase())) {
+        delimiter = '\t';
+    }
+    let names = null;
+    let predicate = () => true;
+    let sortKeys = [];
+    let selected = [];
+    let columnTypes = [];
+    let emptyCounts = [];
+    let rowCount = 0;
+    let matchingRows = 0;
+    let irregularRows = 0;
+    const kept = [];
+    const compareRows = (a, b) => {
+        for (const { column, descending } of sortKeys) {
+            // Empty values sort last in either direction
+            const aEmpty = a.fields[column].trim() === '';
+            const bEmpty = b.fields[column].trim() === '';
+            if (aEmpty !== bEmpty) {
+                return aEmpty ? 1 : -1;
+            }
+            const result = compareTableValues(a.fields[column], b.fields[column]);
+            if (result !== 0) {
+                return descending ? -result : result;
+            }
+        }
+        return a.number - b.number;
+    };
+    const onHeader = fields => {
+        const seen = new Map();
+        names = fields.map((field, index) => {
+            const base = (hasHeader ? field.trim() : '') || `column${index + 1}`;
+            const count = (seen.get(base) ?? 0) + 1;
+            seen.set(base, count);
+            return count > 1 ? `${base}_${count}` : base;
+        });
+        columnTypes = names.map(() => new Set(TABLE_COLUMN_TYPES));
+        emptyCounts = names.map(() => 0);
+        if (filter) {
+            predicate = compileTableFilter(filter, names);
+        }
+        sortKeys = (sortBy ?? []).map(key => ({ column: findTableColumn(names, key.column), descending: key.descending }));
+        selected = options.columns?.length
+            ? options.columns.map(name => findTableColumn(names, name))
+            : names.map((name, column) => column);
+    };
+    const onRow = row => {
+        if (names === null) {
+            onHeader(row);
+            if (hasHeader) {
+                return;
             }
         }
-        if (!matchFound) {
-            throw new Error(`Could not find exact match for edit:\n${edit.oldText}`);
+        let fields = row;
+        if (fields.length !== names.length) {
+            irregularRows++;
+            fields = fields.length > names.length
+                ? fields.slice(0, names.length)
+                : [...fields, ...Array(names.length - fields.length).fill('')];
         }
+        const number = ++rowCount;
+        fields.forEach((value, column) => {
+            if (value === '') {
+                emptyCounts[column]++;
+                return;
+            }
+            for (const candidate of columnTypes[column]) {
+                if (!candidate[1](value)) {
+                    columnTypes[column].delete(candidate);
+                }
+            }
+        });
+        if (!predicate(fields)) {
+            return;
+        }
+        const matchIndex = matchingRows++;
+        const entry = { number, fields };
+        if (sortKeys.length === 0) {
+            if (matchIndex >= offset && matchIndex < pageEnd) {
+                kept.push(entry);
+            }
+            return;
+        }
+        if (kept.length === pageEnd && compareRows(entry, kept.at(-1)) >= 0) {
+            return;
+        }
+        // Binary insertion keeps the page sorted
+        let low = 0;
+        let high = kept.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (compareRows(kept[middle], entry) <= 0) {
+                low = middle + 1;
+            }
+            else {
+                high = middle;
+            }
+        }
+        kept.splice(low, 0, entry);
+        if (kept.length > pageEnd) {
+            kept.pop();
+        }
+    };
+    let parser = null;
+    for await (const chunk of createTextStream(filePath, format)) {
+        if (parser === null) {
+            delimiter ??= guessTableDelimiter(chunk.split('\n', 1)[0]);
+            parser = createCsvParser(delimiter, onRow);
+        }
+        parser.push(chunk);
     }
-    // Create unified diff
-    const diff = createUnifiedDiff(content, modifiedContent, filePath);
-    // Format diff with appropriate number of backticks
-    let numBackticks = 3;
-    while (diff.includes('`'.repeat(numBackticks))) {
-        numBackticks++;
-    }
-    const formattedDiff = `${'`'.repeat(numBackticks)}diff\n${diff}${'`'.repeat(numBackticks)}\n\n`;
-    if (!dryRun) {
-        await fs.writeFile(filePath, modifiedContent, 'utf-8');
-    }
-    return formattedDiff;
+    parser?.end();
+    const types = (names ?? []).map((name, column) => {
+        const type = TABLE_COLUMN_TYPES.find(candidate => columnTypes[column].has(candidate))?.[0] ?? 'string';
+        return emptyCounts[column] === rowCount ? 'empty' : type;
+    });
+    const page = sortKeys.length ? kept.slice(offset) : kept;
+    const nextOffset = offset + page.length < matchingRows ? offset + page.length : null;
+    return {
+        delimiter: Object.keys(TABLE_DELIMITERS).find(key => TABLE_DELIMITERS[key] === delimiter) ?? 'comma',
+        columns: (names ?? []).map((name, column) => ({ name, type: types[column], empty: emptyCounts[column] })),
+        rowCount,
+        ...(filter ? { matchingRows } : {}),
+        ...(irregularRows ? { irregularRows } : {}),
+        selectedColumns: selected.map(column => names[column]),
+        offset,
+        rows: page.map(entry => selected.map(column => convertTableValue(entry.fields[column], types[column]))),
+        nextOffset,
+    };
+}
+// Pretty-prints the result with one column and one row per line
+function formatTable(table) {
+    const lines = items => items.length ? `[\n${items.map(item => `    ${JSON.stringify(item)}`).join(',\n')}\n  ]` : '[]';
+    return JSON.stringify({ ...table, columns: [], rows: [] }, null, 2)
+        .replace('"columns": []', () => `"columns": ${lines(table.columns)}`)
+        .replace('"rows": []', () => `"rows": ${lines(table.rows)}`);
 }
-
 
 // ##################################################
 
 
 // Tool handlers
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-        tools: [
-                {
-                    // Added by Krisu 15.10.2025
-                    name: "get_sqlite3_version",
-                    description: "Checks whether SQLite3 is installed and if so, returns the version number. Added by Krisu 15.10.2025",
-                    inputSchema: zodToJsonSchema(GetSqlite3VersionSchema),
-                },
-
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_python_version",
-                description: "Checks whether Python is installed and if so, returns the version number. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetPythonVersionSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_pip_version",
-                description: "Checks whether pip (Python package installer) is installed and returns the version number. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetPipVersionSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_node_version",
-                description: "Checks whether Node.js is installed and returns the version number. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetNodeVersionSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_git_version",
-                description: "Checks whether Git version control is installed and returns the version number. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetGitVersionSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_freebasic_version",
-                description: "Checks whether FreeBASIC compiler (fbc64) is installed and returns the version number. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetFreebasicVersionSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_npm_version",
-                description: "Checks whether npm (Node Package Manager) is installed and returns the version number. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetNpmVersionSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_pip_packages",
-                description: "Lists all Python packages installed via pip with their version numbers. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetPipPackagesSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_npm_global_packages",
-                description: "Lists all globally installed npm packages with their version numbers and dependencies. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetNpmGlobalPackagesSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_npm_project_packages",
-                description: "Lists all npm packages installed in the current project directory with their version numbers and dependencies. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetNpmProjectPackagesSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_dotnet_info",
-                description: "Returns detailed .NET SDK and runtime information including installed versions and environment details. " +
-                    "Added by Krisu 15.10.2025",
-                inputSchema: zodToJsonSchema(GetDotnetInfoSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_system_info",
-                description: "Get CPU and RAM information including processor model, core count, clock speed, " +
-                    "total memory, available memory, and current memory usage statistics.",
-                inputSchema: zodToJsonSchema(GetSystemInfoSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_nvidia_smi",
-                description: "Get detailed NVIDIA GPU information using nvidia-smi command. " +
-                    "Returns GPU model, memory usage, temperature, driver version, and current utilization. " +
-                    "Only works on systems with NVIDIA GPUs and drivers installed.",
-                inputSchema: zodToJsonSchema(GetNvidiaSmiSchema),
-            },
-            {
-                // Added by Krisu 15.10.2025
-                name: "get_network_info",
-                description: "Get network configuration using ipconfig (Windows) or ifconfig (Linux/Mac). " +
-                    "Returns network adapter details, IP addresses, subnet masks, and gateway information.",
-                inputSchema: zodToJsonSchema(GetNetworkInfoSchema),
-            },
+// Tools other than the toolchain lookups. Toolchain tool names start with get_, so
+// detect_toolchains, which needs the loaded toolchains, cannot collide with them.
+function listBuiltinTools() {
+    return [
+        {
+            // Added by Krisu 15.10.2025
+            name: "get_system_info",
+            description: "Get CPU and RAM information including processor model, core count, clock speed, " +
+                "total memory, available memory, and current memory usage statistics.",
+            inputSchema: zodToJsonSchema(GetSystemInfoSchema),
+        },
+        {
+            // Added by Krisu 15.10.2025
+            name: "get_nvidia_smi",
+            description: "Get detailed NVIDIA GPU information using nvidia-smi command. " +
+                "Returns GPU model, memory usage, temperature, driver version, and current utilization. " +
+                "Only works on systems with NVIDIA GPUs and drivers installed.",
+            inputSchema: zodToJsonSchema(GetNvidiaSmiSchema),
+        },
+        {
+            // Added by Krisu 15.10.2025
+            name: "get_network_info",
+            description: "Get network configuration using ipconfig (Windows), ip or ifconfig (Linux) or ifconfig (Mac), " +
+                "falling back to the adapter list known to Node.js when none of them is available. " +
+                "Returns network adapter details, IP addresses, subnet masks, and gateway information.",
+            inputSchema: zodToJsonSchema(GetNetworkInfoSchema),
+        },
 			{
-                // Added by Krisu 14.10.2025
+            // Added by Krisu 14.10.2025
 				name: "get_drive_info",
-				description: "Provides data on the size of the disk space and the space used.",
+				description: "Provides data on the size of the disk space and the space used, for the volume of every " +
+					"allowed directory. Directories on the same volume are reported together.",
 				inputSchema: zodToJsonSchema(GetDriveInfoSchema),
 			},
 			{
-                // Added by Krisu 14.10.2025
+				name: "disk_usage",
+				description: "Find what takes up space under a directory: the largest directories (up to maxDepth levels " +
+					"deep) and files, and totals per file extension. Supports excludePatterns and respectGitignore.",
+				inputSchema: zodToJsonSchema(DiskUsageArgsSchema),
+			},
+			{
+            // Added by Krisu 14.10.2025
 				name: "get_local_time",
 				description: "Get the current local system time with date and timezone information. " +
 					"Returns a formatted timestamp of the current moment." +
@@ -445,7 +5400,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 				inputSchema: zodToJsonSchema(GetLocalTimeSchema),
 			},
 			{
-                // Added by Krisu 14.10.2025
+            // Added by Krisu 14.10.2025
 				name: "delete_file",
 				description: "Safely delete a file or directory by moving it to /Trash. This acts like " +
 					"a recycle bin - files aren't permanently deleted and can be recovered. " +
@@ -454,7 +5409,27 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 				inputSchema: zodToJsonSchema(DeleteFileArgsSchema),
 			},
 			{
-                // Added by Krisu 14.10.2025
+				name: "list_trash",
+				description: "List the items that delete_file has moved to Trash, with their original path, " +
+					"deletion time, size and type. Lists the Trash of every allowed directory unless a path is given.",
+				inputSchema: zodToJsonSchema(ListTrashArgsSchema),
+			},
+			{
+				name: "restore_from_trash",
+				description: "Move an item from Trash back to the path it was deleted from. " +
+					"If that path is now occupied the restore fails, unless onConflict is 'rename' " +
+					"(restore next to it with a timestamp) or 'overwrite'. Needs a root that allows deleting. " +
+					"Only works within allowed directories.",
+				inputSchema: zodToJsonSchema(RestoreFromTrashArgsSchema),
+			},
+			{
+				name: "empty_trash",
+				description: "Permanently delete items from Trash. Deletes everything unless limited to " +
+					"specific item names or to items older than a number of days. This cannot be undone.",
+				inputSchema: zodToJsonSchema(EmptyTrashArgsSchema),
+			},
+			{
+            // Added by Krisu 14.10.2025
 				name: "copy_file",
 				description: "Create a copy of a file or directory. For files, creates an exact copy " +
 					"at the destination path. For directories, recursively copies all contents. " +
@@ -462,225 +5437,535 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 					"Both source and destination must be within allowed directories.",
 				inputSchema: zodToJsonSchema(CopyFileArgsSchema),
 			},
-            {
-                name: "read_multiple_files",
-                description: "Read the contents of multiple files simultaneously. This is more " +
-                    "efficient than reading files one by one when you need to analyze " +
-                    "or compare multiple files. Each file's content is returned with its " +
-                    "path as a reference. Failed reads for individual files won't stop " +
-                    "the entire operation. Only works within allowed directories.",
-                inputSchema: zodToJsonSchema(ReadMultipleFilesArgsSchema),
-            },
-            {
-                name: "write_file",
-                description: "Create a new file or completely overwrite an existing file with new content. " +
-                    "Use with caution as it will overwrite existing files without warning. " +
-                    "Handles text content with proper encoding. Only works within allowed directories.",
-                inputSchema: zodToJsonSchema(WriteFileArgsSchema),
-            },
-            {
-                name: "edit_file",
-                description: "Make line-based edits to a text file. Each edit replaces exact line sequences " +
-                    "with new content. Returns a git-style diff showing the changes made. " +
-                    "Only works within allowed directories.",
-                inputSchema: zodToJsonSchema(EditFileArgsSchema),
-            },
-            {
-                name: "create_directory",
-                description: "Create a new directory or ensure a directory exists. Can create multiple " +
-                    "nested directories in one operation. If the directory already exists, " +
-                    "this operation will succeed silently. Perfect for setting up directory " +
-                    "structures for projects or ensuring required paths exist. Only works within allowed directories.",
-                inputSchema: zodToJsonSchema(CreateDirectoryArgsSchema),
-            },
-            {
-                name: "list_directory",
-                description: "Get a detailed listing of all files and directories in a specified path. " +
-                    "Results clearly distinguish between files and directories with [FILE] and [DIR] " +
-                    "prefixes. This tool is essential for understanding directory structure and " +
-                    "finding specific files within a directory. Only works within allowed directories.",
-                inputSchema: zodToJsonSchema(ListDirectoryArgsSchema),
-            },
-            {
-                name: "directory_tree",
-                description: "Get a recursive tree view of files and directories as a JSON structure. " +
-                    "Each entry includes 'name', 'type' (file/directory), and 'children' for directories. " +
-                    "Files have no children array, while directories always have a children array (which may be empty). " +
-                    "The output is formatted with 2-space indentation for readability. Only works within allowed directories.",
-                inputSchema: zodToJsonSchema(DirectoryTreeArgsSchema),
-            },
-            {
-                name: "move_file",
-                description: "Move or rename files and directories. Can move files between directories " +
-                    "and rename them in a single operation. If the destination exists, the " +
-                    "operation will fail. Works across different directories and can be used " +
-                    "for simple renaming within the same directory. Both source and destination must be within allowed directories.",
-                inputSchema: zodToJsonSchema(MoveFileArgsSchema),
-            },
-            {
-                name: "search_files",
-                description: "Recursively search for files and directories matching a pattern. " +
-                    "Searches through all subdirectories from the starting path. The search " +
-                    "is case-insensitive and matches partial names. Returns full paths to all " +
-                    "matching items. Great for finding files when you don't know their exact location. " +
-                    "Only searches within allowed directories.",
-                inputSchema: zodToJsonSchema(SearchFilesArgsSchema),
-            },
-            {
-                name: "get_file_info",
-                description: "Retrieve detailed metadata about a file or directory. Returns comprehensive " +
-                    "information including size, creation time, last modified time, permissions, " +
-                    "and type. This tool is perfect for understanding file characteristics " +
-                    "without reading the actual content. Only works within allowed directories.",
-                inputSchema: zodToJsonSchema(GetFileInfoArgsSchema),
+        {
+            name: "read_file",
+            description: "Read the complete contents of a file from the file system. " +
+                "For large files, use 'offset' and 'limit' (or 'head'/'tail') to read a range of lines " +
+                "and 'maxBytes' to cap the returned size. Ranged reads stream the file and report the " +
+                "total line count plus the offset to continue from; a single line longer than 'maxBytes' is " +
+                "returned in parts, continued with 'column'. The encoding is detected (UTF-8, UTF-16 " +
+                "with BOM, latin1) unless 'encoding' is given, and reported when it is not plain UTF-8. Also returns the file's sha256 and " +
+                "modification time for use as expectedHash/expectedMtime when writing; ranged reads return only the " +
+                "modification time unless 'includeHash' is set. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(ReadFileArgsSchema),
+        },
+        {
+            name: "read_multiple_files",
+            description: "Read the contents of multiple files simultaneously. This is more " +
+                "efficient than reading files one by one when you need to analyze " +
+                "or compare multiple files. Each file's content is returned with its " +
+                "path as a reference. Failed reads for individual files won't stop " +
+                "the entire operation. Accepts the same range options as read_file, applied to each file. " +
+                "Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(ReadMultipleFilesArgsSchema),
+        },
+        {
+            name: "read_table",
+            description: "Read a CSV or TSV file as a table without loading it whole. The file is streamed " +
+                "once to return the columns with inferred types (integer, number, boolean, date, datetime, string), " +
+                "the row count and one page of rows. Select columns with 'columns', keep rows with a 'filter' " +
+                "expression such as \"age >= 30 and city = 'Oslo'\", order them with 'sortBy' and page with " +
+                "'offset' and 'limit'. Quoted fields may contain delimiters and line breaks. " +
+                "Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(ReadTableArgsSchema),
+        },
+        {
+            name: "write_file",
+            description: "Create a new file or completely overwrite an existing file with new content. " +
+                "Use with caution as it will overwrite existing files without warning. " +
+                "Keeps the encoding, BOM and CRLF line endings of the file it replaces unless 'encoding', 'bom' " +
+                "or 'lineEndings' say otherwise. Pass expectedHash or expectedMtime from read_file " +
+                "to refuse the write if the file was changed by someone else in the meantime. " +
+                "Writes go to a temporary file that is renamed into place, so files are never half-written. " +
+                "Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(WriteFileArgsSchema),
+        },
+        {
+            name: "edit_file",
+            description: "Make line-based edits to a text file. Each edit replaces exact line sequences " +
+                "with new content. Returns a git-style diff showing the changes made. " +
+                "If oldText occurs more than once the edit fails and lists the matching lines; set 'occurrence' " +
+                "to pick one or 'replaceAll' to replace every match. Set 'regex' to match oldText as a regular " +
+                "expression with capture groups. Instead of oldText, an edit can target a line range with " +
+                "'startLine'/'endLine' (empty newText deletes it) or insert with 'insertAfterLine'. " +
+                "Pass expectedHash or expectedMtime from read_file to refuse the edit if the file has changed since. " +
+                "The file's encoding, BOM and line endings are preserved. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(EditFileArgsSchema),
+        },
+        {
+            name: "list_file_history",
+            description: "List the saved versions of a file. write_file, edit_file and revert_file save " +
+                "the previous content of a file before changing it, keeping the last " + MAX_HISTORY_VERSIONS +
+                " versions per file. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(ListFileHistoryArgsSchema),
+        },
+        {
+            name: "diff_file_version",
+            description: "Show a git-style diff between a saved version of a file and its current content, " +
+                "or between two saved versions. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(DiffFileVersionArgsSchema),
+        },
+        {
+            name: "revert_file",
+            description: "Restore a file to a saved version. The current content is saved as a new version first, " +
+                "so the revert can be undone. Returns a git-style diff of the change. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(RevertFileArgsSchema),
+        },
+        {
+            name: "apply_patch",
+            description: "Apply a unified diff that may touch several files, including file creations, " +
+                "deletions and renames (git-style a/ and b/ prefixes are understood). Relative paths resolve " +
+                "against basePath. Hunks are applied with fuzz tolerance and reported one by one. If any hunk " +
+                "fails, no files are changed. Each file may appear in only one section. Use dryRun to only check " +
+                "the patch. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(ApplyPatchArgsSchema),
+        },
+        {
+            name: "query_structured_file",
+            description: "Read values from a JSON, YAML or TOML file by path instead of reading the whole file. " +
+                "The query is a dotted path (server.port, items[0].name) or JSONPath with wildcards ($.items[*].name) " +
+                "and recursive descent ($..name). A single value comes back as JSON; wildcard queries list every " +
+                "match with its path. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(QueryStructuredFileArgsSchema),
+        },
+        {
+            name: "update_structured_file",
+            description: "Set, delete or append values at paths in a JSON, YAML or TOML file. Only the text of " +
+                "the changed values is rewritten, so comments, key order and formatting elsewhere are kept. " +
+                "Setting a missing path creates the objects on the way; append adds to an array. Operations run " +
+                "in order and the file is only written if the result still parses. Returns a git-style diff; " +
+                "use dryRun to preview. YAML anchors, tags and multi-document files are not supported. " +
+                "Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(UpdateStructuredFileArgsSchema),
+        },
+        {
+            name: "git_status",
+            description: "Show the status of a git repository as JSON: current branch, upstream, " +
+                "ahead/behind counts and changed files with their index and work tree state. " +
+                "Only works on repositories inside allowed directories.",
+            inputSchema: zodToJsonSchema(GitStatusArgsSchema),
+        },
+        {
+            name: "git_diff",
+            description: "Show changes in a git repository: working tree against the index by default, " +
+                "staged changes with staged, or between refs with from/to. Returns per-file line counts " +
+                "and the diff, leaving out files that match a deny pattern. Only works on repositories inside allowed directories.",
+            inputSchema: zodToJsonSchema(GitDiffArgsSchema),
+        },
+        {
+            name: "git_log",
+            description: "List commits of a git repository as JSON, optionally starting from a ref and " +
+                "filtered by paths, author, date or message. Only works on repositories inside allowed directories.",
+            inputSchema: zodToJsonSchema(GitLogArgsSchema),
+        },
+        {
+            name: "git_show",
+            description: "Show a commit (metadata and diff) or, with file, the content of a file at a ref. " +
+                "Files that match a deny pattern are left out. Only works on repositories inside allowed directories.",
+            inputSchema: zodToJsonSchema(GitShowArgsSchema),
+        },
+        {
+            name: "git_add",
+            description: "Stage files in a git repository and return the resulting status. " +
+                "Only works on repositories inside allowed directories.",
+            inputSchema: zodToJsonSchema(GitAddArgsSchema),
+        },
+        {
+            name: "git_commit",
+            description: "Create a commit in a git repository from the staged changes, all tracked changes " +
+                "(all) or specific paths. Never pushes. Only works on repositories inside allowed directories.",
+            inputSchema: zodToJsonSchema(GitCommitArgsSchema),
+        },
+        {
+            name: "run_command",
+            description: "Run an executable from the user-configured allowlist, e.g. to build or test a project. " +
+                "Arguments are passed as an array without a shell, so pipes, redirection and globbing do not apply. " +
+                "Batch files such as npm.cmd cannot be started on Windows. " +
+                "The working directory must be inside an allowed directory. The command and any processes it " +
+                "started are stopped after timeoutMs, " +
+                "long output is cut from the middle, and the exit code is reported.",
+            inputSchema: zodToJsonSchema(RunCommandArgsSchema),
+        },
+        {
+            name: "create_directory",
+            description: "Create a new directory or ensure a directory exists. Can create multiple " +
+                "nested directories in one operation. If the directory already exists, " +
+                "this operation will succeed silently. Perfect for setting up directory " +
+                "structures for projects or ensuring required paths exist. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(CreateDirectoryArgsSchema),
+        },
+        {
+            name: "list_directory",
+            description: "Get a detailed listing of all files and directories in a specified path. " +
+                "Results clearly distinguish between files and directories with [FILE] and [DIR] " +
+                "prefixes, symlinks are marked [LINK]. Set details for size, modified time, permissions and symlink " +
+                "targets, sortBy to sort by name, size or mtime, showHidden false to skip dotfiles and pattern to " +
+                "filter names by glob. Use offset and limit to page through large directories and format 'json' " +
+                "for structured output. This tool is essential for understanding directory structure and " +
+                "finding specific files within a directory. " +
+                "Set respectGitignore to skip paths ignored by .gitignore, .ignore and the server ignore file. " +
+                "Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(ListDirectoryArgsSchema),
+        },
+        {
+            name: "directory_tree",
+            description: "Get a recursive tree view of files and directories as a JSON structure. " +
+                "Each entry includes 'name', 'type' (file/directory), and 'children' for directories. " +
+                "Files have no children array, while directories always have a children array (which may be empty). " +
+                "The output is formatted with 2-space indentation for readability. Use maxDepth, excludePatterns " +
+                "(same semantics as search_files) and maxEntries to keep large trees manageable; directories that " +
+                "are not expanded and cut-off listings are marked as truncated. When maxEntries cuts the output, the JSON " +
+                "is wrapped as {tree, truncated: true, maxEntries}. showSizes and showCounts add file " +
+                "sizes and per-directory counts, and format 'text' returns a compact indented listing instead of JSON. " +
+                "Set respectGitignore to skip paths ignored by .gitignore, .ignore and the server ignore file. " +
+                "Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(DirectoryTreeArgsSchema),
+        },
+        {
+            name: "move_file",
+            description: "Move or rename files and directories. Can move files between directories " +
+                "and rename them in a single operation. If the destination exists, the " +
+                "operation will fail. Works across different directories and can be used " +
+                "for simple renaming within the same directory. Both source and destination must be within allowed directories.",
+            inputSchema: zodToJsonSchema(MoveFileArgsSchema),
+        },
+        {
+            name: "search_files",
+            description: "Recursively search for files and directories matching a pattern. " +
+                "Searches through all subdirectories from the starting path. The search " +
+                "is case-insensitive and matches partial names unless 'caseSensitive' or 'regex' is set. Returns full paths to all " +
+                "matching items. Great for finding files when you don't know their exact location. " +
+                "With mode 'content', searches inside files instead (with optional context " +
+                "lines) and returns matches as path:line:column: text. " +
+                "Binary files are skipped. Use includePatterns to limit the files searched. " +
+                "Set respectGitignore to skip paths ignored by .gitignore, .ignore and the server ignore file. " +
+                "Only searches within allowed directories.",
+            inputSchema: zodToJsonSchema(SearchFilesArgsSchema),
+        },
+        {
+            name: "get_file_info",
+            description: "Retrieve detailed metadata about a file or directory. Returns comprehensive " +
+                "information including size, creation time, last modified time, permissions, " +
+                "and type, plus the sha256 of files. This tool is perfect for understanding file characteristics " +
+                "without reading the actual content. Only works within allowed directories.",
+            inputSchema: zodToJsonSchema(GetFileInfoArgsSchema),
+        },
+        {
+            name: "create_archive",
+            description: "Create a zip, tar or tar.gz archive from files and directories. Each source is added under its " +
+                "own name, directories recursively, honoring excludePatterns and respectGitignore. " +
+                "Fails if the archive exists unless overwrite is set.",
+            inputSchema: zodToJsonSchema(CreateArchiveArgsSchema),
+        },
+        {
+            name: "list_archive",
+            description: "List the entries of a zip, tar or tar.gz archive with their sizes, without extracting it.",
+            inputSchema: zodToJsonSchema(ListArchiveArgsSchema),
+        },
+        {
+            name: "extract_archive",
+            description: "Extract a zip, tar or tar.gz archive into a directory. Every entry is checked before anything " +
+                "is written: names escaping the destination are rejected, symlinks pointing outside it are skipped " +
+                "and maxEntries/maxTotalBytes guard against archive bombs. onConflict decides what happens to " +
+                "existing files.",
+            inputSchema: zodToJsonSchema(ExtractArchiveArgsSchema),
+        },
+        {
+            name: "compute_checksum",
+            description: "Compute the md5, sha1 or sha256 checksum of a file, or of every file in a directory. " +
+                "Returns a manifest in sha256sum format (<hash>  <relative path> per line), optionally also " +
+                "written to outputPath for later use with verify_checksums.",
+            inputSchema: zodToJsonSchema(ComputeChecksumArgsSchema),
+        },
+        {
+            name: "verify_checksums",
+            description: "Check files against a checksum manifest in sha256sum/md5sum format and report which match, " +
+                "which differ and which are missing.",
+            inputSchema: zodToJsonSchema(VerifyChecksumsArgsSchema),
+        },
+        {
+            name: "find_duplicates",
+            description: "Find files with identical content under a directory. Files are grouped by size and only " +
+                "same-size files are hashed. Groups are listed with the space that removing the copies would free, " +
+                "largest first.",
+            inputSchema: zodToJsonSchema(FindDuplicatesArgsSchema),
+        },
+        {
+            name: "batch_rename",
+            description: "Rename or move many files at once. Select files with a glob relative to path, then build " +
+                "new names either with find (regex) and replace, or with a template. Both support tokens: {name}, " +
+                "{ext}, {n} (counter, {n:3} pads to 3 digits), {date} (modified date) and {today}, each optionally " +
+                "with a case transform like {name|lower} (upper, lower, title, kebab, snake). New names containing " +
+                "a slash move the file. All names are checked for collisions before anything is renamed, chains " +
+                "and cycles are handled, and a failure rolls back every rename. Use dryRun to preview.",
+            inputSchema: zodToJsonSchema(BatchRenameArgsSchema),
+        },
+        {
+            name: "watch_directory",
+            description: "Start watching a directory for changes made outside this conversation, e.g. by the user in " +
+                "an editor. Returns a watch id for get_changes. Uses native file system events where available " +
+                "and falls back to polling. Supports excludePatterns and respectGitignore like search_files.",
+            inputSchema: zodToJsonSchema(WatchDirectoryArgsSchema),
+        },
+        {
+            name: "get_changes",
+            description: "List files and directories created, modified, deleted or renamed under a watched directory " +
+                "since a cursor, oldest first. Pass the returned cursor to the next call to only see newer changes.",
+            inputSchema: zodToJsonSchema(GetChangesArgsSchema),
+        },
+        {
+            name: "unwatch_directory",
+            description: "Stop a watch started with watch_directory.",
+            inputSchema: zodToJsonSchema(UnwatchDirectoryArgsSchema),
+        },
+        {
+            name: "query_audit_log",
+            description: "Review earlier tool calls from the audit log, newest last. Filter by tool name, by a path " +
+                "the call touched (including anything below a directory), by time range or to failed calls only. " +
+                "Each entry shows the arguments with file content replaced by a hash, the resolved paths, " +
+                "the result and the bytes written.",
+            inputSchema: zodToJsonSchema(QueryAuditLogArgsSchema),
+        },
+        {
+            name: "list_allowed_directories",
+            description: "Returns the list of directories that this server is allowed to access, with the access mode " +
+                "of each: read-write, no-delete (files can be changed but not deleted or moved away) or read-only. " +
+                "Use this to understand which directories are available before trying to access files.",
+            inputSchema: {
+                type: "object",
+                properties: {},
+                required: [],
             },
+        },
+    ];
+}
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+        tools: [
+            ...toolchains.map(toolchain => ({
+                name: toolchain.tool,
+                description: toolchain.description,
+                inputSchema: zodToJsonSchema(GetToolchainSchema),
+            })),
             {
-                name: "list_allowed_directories",
-                description: "Returns the list of directories that this server is allowed to access. " +
-                    "Use this to understand which directories are available before trying to access files.",
-                inputSchema: {
-                    type: "object",
-                    properties: {},
-                    required: [],
-                },
+                name: "detect_toolchains",
+                description: "Checks which development toolchains are installed and returns their versions as JSON. " +
+                    "Covers " + toolchains.filter(toolchain => toolchain.versionPattern).map(toolchain => toolchain.name).join(', ') +
+                    " and any toolchains added in the user's toolchain config file.",
+                inputSchema: zodToJsonSchema(DetectToolchainsArgsSchema),
             },
+            ...listBuiltinTools(),
         ],
     };
 });
 
-// Added by Krisu 15.10.2025
-// Generic command executor for development environment checks
-async function executeCommand(command) {
+// Toolchain registry
+// Each toolchain lists candidate commands per platform ('default' applies elsewhere),
+// tried in order until one succeeds. Entries with a versionPattern are version checks
+// and included in detect_toolchains, the others just report the command output.
+const BUILTIN_TOOLCHAINS = [
+    {
+        name: 'sqlite3',
+        description: "Checks whether SQLite3 is installed and if so, returns the version number. Added by Krisu 15.10.2025",
+        commands: { default: ['sqlite3 --version'] },
+        versionPattern: '(\\d+\\.\\d+(?:\\.\\d+)?)',
+    },
+    {
+        name: 'python',
+        description: "Checks whether Python is installed and if so, returns the version number. Added by Krisu 15.10.2025",
+        commands: { win32: ['py -V', 'python --version', 'python3 --version'], default: ['python3 --version', 'python --version'] },
+        versionPattern: 'Python (\\S+)',
+    },
+    {
+        name: 'pip',
+        description: "Checks whether pip (Python package installer) is installed and returns the version number. Added by Krisu 15.10.2025",
+        commands: { win32: ['pip --version', 'py -m pip --version'], default: ['pip3 --version', 'pip --version', 'python3 -m pip --version'] },
+        versionPattern: 'pip (\\S+)',
+    },
+    {
+        name: 'node',
+        description: "Checks whether Node.js is installed and returns the version number. Added by Krisu 15.10.2025",
+        commands: { default: ['node -v'] },
+        versionPattern: 'v?(\\d+\\.\\d+\\.\\d+)',
+    },
+    {
+        name: 'git',
+        description: "Checks whether Git version control is installed and returns the version number. Added by Krisu 15.10.2025",
+        commands: { default: ['git -v'] },
+        versionPattern: 'git version (\\S+)',
+    },
+    {
+        name: 'freebasic',
+        description: "Checks whether FreeBASIC compiler (fbc64 or fbc) is installed and returns the version number. Added by Krisu 15.10.2025",
+        commands: { win32: ['fbc64 -version', 'fbc -version'], default: ['fbc -version', 'fbc64 -version'] },
+        versionPattern: 'Version (\\S+)',
+    },
+    {
+        name: 'npm',
+        description: "Checks whether npm (Node Package Manager) is installed and returns the version number. Added by Krisu 15.10.2025",
+        commands: { default: ['npm -v'] },
+        versionPattern: '(\\d+\\.\\d+\\.\\d+)',
+    },
+    {
+        name: 'dotnet',
+        tool: 'get_dotnet_info',
+        description: "Returns detailed .NET SDK and runtime information including installed versions and environment details. Added by Krisu 15.10.2025",
+        commands: { default: ['dotnet --info'] },
+    },
+    {
+        name: 'pip_packages',
+        tool: 'get_pip_packages',
+        description: "Lists all Python packages installed via pip with their version numbers. Added by Krisu 15.10.2025",
+        commands: { win32: ['pip list', 'py -m pip list'], default: ['pip3 list', 'pip list', 'python3 -m pip list'] },
+    },
+    {
+        name: 'npm_global_packages',
+        tool: 'get_npm_global_packages',
+        description: "Lists all globally installed npm packages with their version numbers and dependencies. Added by Krisu 15.10.2025",
+        commands: { default: ['npm list -g'] },
+    },
+    {
+        name: 'npm_project_packages',
+        tool: 'get_npm_project_packages',
+        description: "Lists all npm packages installed in the current project directory with their version numbers and dependencies. Added by Krisu 15.10.2025",
+        commands: { default: ['npm list'] },
+    },
+];
+const ToolchainConfigSchema = z.array(z.object({
+    name: z.string().regex(/^[a-z0-9_]+$/),
+    tool: z.string().regex(/^get_[a-z0-9_]+$/).optional(),
+    description: z.string().optional(),
+    commands: z.record(z.array(z.string())),
+    versionPattern: z.string().optional(),
+}));
+function getToolchainToolName(toolchain) {
+    return toolchain.tool ?? `get_${toolchain.name}_version`;
+}
+// Built-ins merged with the user's toolchain config file; user entries replace built-ins of the same name.
+// Entries whose tool name is already taken are skipped, since only one tool of a name can be called.
+async function loadToolchains() {
+    const registry = new Map(BUILTIN_TOOLCHAINS.map(toolchain => [toolchain.name, toolchain]));
+    const configFile = readConfigValue('FILESYSTEM_TOOLCHAINS_FILE');
+    if (configFile) {
+        try {
+            const entries = ToolchainConfigSchema.parse(JSON.parse(await fs.readFile(expandHome(configFile), 'utf-8')));
+            const builtinToolNames = new Set(listBuiltinTools().map(tool => tool.name));
+            for (const entry of entries) {
+                const toolName = getToolchainToolName(entry);
+                const owner = [...registry.values()].find(toolchain => toolchain.name !== entry.name &&
+                    getToolchainToolName(toolchain) === toolName);
+                if (builtinToolNames.has(toolName) || owner) {
+                    console.error(`Skipping toolchain "${entry.name}" in ${configFile}: tool name ${toolName} is already ` +
+                        `used by ${owner ? `toolchain "${owner.name}"` : 'a built-in tool'}`);
+                    continue;
+                }
+                registry.set(entry.name, entry);
+            }
+        }
+        catch (error) {
+            console.error(`Error loading toolchain config ${configFile}:`, error.message);
+        }
+    }
+    return [...registry.values()].map(toolchain => ({
+        ...toolchain,
+        tool: getToolchainToolName(toolchain),
+        description: toolchain.description ?? `Checks whether ${toolchain.name} is installed and returns the version number.`,
+    }));
+}
+const toolchains = await loadToolchains();
+// Finds an executable on PATH the way the shell would, without running anything
+async function resolveExecutable(name) {
+    const isWindows = process.platform === 'win32';
+    const extensions = isWindows ? ['', ...(process.env.PATHEXT ?? '.COM;.EXE;.BAT;.CMD').split(';')] : [''];
+    const dirs = name.includes('/') || name.includes('\\') ? [''] : (process.env.PATH ?? '').split(path.delimiter).filter(Boolean);
+    for (const dir of dirs) {
+        for (const ext of extensions) {
+            const candidate = path.resolve(dir, name + ext);
+            try {
+                if (!(await fs.stat(candidate)).isFile()) {
+                    continue;
+                }
+                if (!isWindows) {
+                    await fs.access(candidate, fsConstants.X_OK);
+                }
+                return candidate;
+            }
+            catch {
+                // Not here, keep looking
+            }
+        }
+    }
+    return null;
+}
+// Tries candidate commands in order and returns the first that runs. The status tells
+// 'not_installed' (no candidate executable found) apart from 'failed' (found but errored).
+async function runCandidates(candidates) {
     const { exec } = await import('child_process');
     const { promisify } = await import('util');
     const execAsync = promisify(exec);
-    
-    try {
-        const { stdout, stderr } = await execAsync(command);
-        
-        if (stderr && !stdout) {
-            return {
-                content: [{
-                    type: "text",
-                    text: `Error: ${stderr}`
-                }],
-                isError: true
-            };
+    const attempts = [];
+    for (const command of candidates) {
+        const executable = command.split(' ')[0];
+        const resolvedPath = await resolveExecutable(executable);
+        if (!resolvedPath) {
+            attempts.push({ command, result: 'not found' });
+            continue;
+        }
+        try {
+            const { stdout, stderr } = await execAsync(command, { timeout: 30000, maxBuffer: 10 * 1024 * 1024 });
+            // Some commands output to stderr even on success (like some version checks)
+            const output = (stdout || stderr).trim();
+            return { status: 'installed', command, path: resolvedPath, output };
+        }
+        catch (err) {
+            attempts.push({ command, path: resolvedPath, result: `failed: ${err.message.trim()}` });
+        }
+    }
+    const failed = attempts.find(attempt => attempt.path);
+    return {
+        status: failed ? 'failed' : 'not_installed',
+        error: failed ? failed.result : `not found on PATH (tried ${candidates.join(', ') || 'nothing'})`,
+        attempts,
+    };
+}
+async function detectToolchain(toolchain) {
+    const candidates = toolchain.commands[process.platform] ?? toolchain.commands.default ?? [];
+    const result = await runCandidates(candidates);
+    if (result.status !== 'installed') {
+        return { name: toolchain.name, status: result.status, installed: false, version: null, error: result.error, attempts: result.attempts };
+    }
+    const version = toolchain.versionPattern
+        ? result.output.match(new RegExp(toolchain.versionPattern))?.[1] ?? null
+        : null;
+    return { name: toolchain.name, status: 'installed', installed: true, version, command: result.command, path: result.path, output: result.output };
+}
+function formatNetworkInterfaces() {
+    const lines = [];
+    for (const [name, addresses] of Object.entries(os.networkInterfaces())) {
+        lines.push(`${name}:`);
+        for (const address of addresses ?? []) {
+            lines.push(`    ${address.family} ${address.cidr ?? address.address}  netmask ${address.netmask}  mac ${address.mac}${address.internal ? '  (internal)' : ''}`);
         }
-        
-        // Some commands output to stderr even on success (like some version checks)
-        const output = stdout || stderr;
-        
-        return {
-            content: [{ 
-                type: "text", 
-                text: output.trim()
-            }],
-        };
-    } catch (err) {
-        return {
-            content: [{
-                type: "text",
-                text: `Command failed: ${err.message}`
-            }],
-            isError: true
-        };
     }
+    return lines.join('\n');
 }
 // ########################################################
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleToolCall(name, args) {
     try {
-        const { name, arguments: args } = request.params;
         switch (name) {
-                 // Added by Krisu 15.10.2025
-                case "get_sqlite3_version": {
-                    const parsed = GetSqlite3VersionSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_python_version: ${parsed.error}`);
-                    }
-                    return await executeCommand('sqlite3 --version');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_python_version": {
-                    const parsed = GetPythonVersionSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_python_version: ${parsed.error}`);
-                    }
-                    return await executeCommand('py -V');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_pip_version": {
-                    const parsed = GetPipVersionSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_pip_version: ${parsed.error}`);
-                    }
-                    return await executeCommand('pip --version');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_node_version": {
-                    const parsed = GetNodeVersionSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_node_version: ${parsed.error}`);
-                    }
-                    return await executeCommand('node -v');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_git_version": {
-                    const parsed = GetGitVersionSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_git_version: ${parsed.error}`);
-                    }
-                    return await executeCommand('git -v');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_freebasic_version": {
-                    const parsed = GetFreebasicVersionSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_freebasic_version: ${parsed.error}`);
-                    }
-                    return await executeCommand('fbc64 -version');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_npm_version": {
-                    const parsed = GetNpmVersionSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_npm_version: ${parsed.error}`);
-                    }
-                    return await executeCommand('npm -v');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_pip_packages": {
-                    const parsed = GetPipPackagesSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_pip_packages: ${parsed.error}`);
-                    }
-                    return await executeCommand('pip list');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_npm_global_packages": {
-                    const parsed = GetNpmGlobalPackagesSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_npm_global_packages: ${parsed.error}`);
-                    }
-                    return await executeCommand('npm list -g');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_npm_project_packages": {
-                    const parsed = GetNpmProjectPackagesSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_npm_project_packages: ${parsed.error}`);
-                    }
-                    return await executeCommand('npm list');
-                }
-                // Added by Krisu 15.10.2025
-                case "get_dotnet_info": {
-                    const parsed = GetDotnetInfoSchema.safeParse(args);
-                    if (!parsed.success) {
-                        throw new Error(`Invalid arguments for get_dotnet_info: ${parsed.error}`);
-                    }
-                    return await executeCommand('dotnet --info');
+            case "detect_toolchains": {
+                const parsed = DetectToolchainsArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for detect_toolchains: ${parsed.error}`);
                 }
+                const selected = toolchains.filter(toolchain => toolchain.versionPattern &&
+                    (!parsed.data.names || parsed.data.names.includes(toolchain.name)));
+                const results = await Promise.all(selected.map(detectToolchain));
+                return {
+                    content: [{ type: "text", text: JSON.stringify(results.map(({ output, ...result }) => result), null, 2) }],
+                };
+            }
             // Added by Krisu 15.10.2025
             case "get_system_info": {
                 const parsed = GetSystemInfoSchema.safeParse(args);
@@ -778,41 +6063,28 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     throw new Error(`Invalid arguments for get_network_info: ${parsed.error}`);
                 }
             
-                const { exec } = await import('child_process');
-                const { promisify } = await import('util');
-                const execAsync = promisify(exec);
-            
-                try {
-                    // Determine OS and use appropriate command
-                    const isWindows = process.platform === 'win32';
-                    const command = isWindows ? 'ipconfig' : 'ifconfig';
-                
-                    const { stdout, stderr } = await execAsync(command);
-                
-                    if (stderr) {
-                        return {
-                            content: [{
-                                type: "text",
-                                text: `Warning: ${stderr}\n\n${stdout}`
-                            }],
-                        };
-                    }
-                
+                // Determine OS and try the appropriate commands, most modern Linux installs only have ip
+                const candidates = {
+                    win32: ['ipconfig'],
+                    darwin: ['ifconfig'],
+                }[process.platform] ?? ['ip addr', 'ifconfig'];
+                const result = await runCandidates(candidates);
+                if (result.status === 'installed') {
                     return {
                         content: [{ 
                             type: "text", 
-                            text: stdout
-                        }],
-                    };
-                } catch (err) {
-                    return {
-                        content: [{
-                            type: "text",
-                            text: `Error getting network info: ${err.message}`
+                            text: `Source: ${result.command} (${result.path})\n\n${result.output}`
                         }],
-                        isError: true
                     };
                 }
+                // Fall back to what Node.js itself knows about the adapters
+                const reason = result.status === 'failed' ? result.error : `${candidates.join(', ')} not installed`;
+                return {
+                    content: [{
+                        type: "text",
+                        text: `Source: os.networkInterfaces() (${reason})\n\n${formatNetworkInterfaces()}`
+                    }],
+                };
             }
             // Added by Krisu 14.10.2025                
             case "get_drive_info": {
@@ -821,40 +6093,29 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     throw new Error(`Invalid arguments for get_drive_info: ${parsed.error}`);
                 }
                 
-                const workspaceRoot = allowedDirectories[0];
-                
-                try {
-                    const stats = await fs.statfs(workspaceRoot);
-                    
-                    const totalBytes = stats.bsize * stats.blocks;
-                    const freeBytes = stats.bsize * stats.bavail;
-                    const usedBytes = totalBytes - freeBytes;
-                    const totalGB = (totalBytes / 1024 / 1024 / 1024).toFixed(2);
-                    const freeGB = (freeBytes / 1024 / 1024 / 1024).toFixed(2);
-                    const usedGB = (usedBytes / 1024 / 1024 / 1024).toFixed(2);
-                    const percentageUsed = ((usedBytes / totalBytes) * 100).toFixed(2);
-                    
-                    const driveInfo = `Drive Info for ${workspaceRoot}
-                        Total Size: ${totalGB} GB
-                        Free Space: ${freeGB} GB
-                        Used Space: ${usedGB} GB
-                        Used: ${percentageUsed}%`;
-                    
-                    return {
-                        content: [{ 
-                            type: "text", 
-                            text: driveInfo
-                        }],
-                    };
-                } catch (err) {
-                    return {
-                        content: [{
+                const volumes = await getVolumeInfo(allowedDirectories);
+                return {
+                    content: [{
                             type: "text",
-                            text: `Error checking disk space: ${err.message}`
+                            text: volumes.map(formatVolumeInfo).join('\n\n')
                         }],
-                        isError: true
-                    };
+                    isError: volumes.every(volume => volume.error),
+                };
+            }
+            case "disk_usage": {
+                const parsed = DiskUsageArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for disk_usage: ${parsed.error}`);
+                }
+                parsed.data.respectGitignore ??= respectGitignoreByDefault;
+                const validPath = await validatePath(parsed.data.path);
+                if (!(await fs.stat(validPath)).isDirectory()) {
+                    throw new Error(`Not a directory: ${parsed.data.path}`);
                 }
+                const usage = await analyzeDiskUsage(validPath, parsed.data);
+                return {
+                    content: [{ type: "text", text: formatDiskUsage(validPath, usage, parsed.data.top) }],
+                };
             }
             // Added by Krisu 14.10.2025
 			case "delete_file": {
@@ -863,23 +6124,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 					throw new Error(`Invalid arguments for delete_file: ${parsed.error}`);
 				}
 				
-				const validPath = await validatePath(parsed.data.path);
+				const validPath = await validatePath(parsed.data.path, 'delete');
 				
 				// Use workspace Trash folder - find the allowed directory root
-				let workspaceRoot = null;
-				for (const dir of allowedDirectories) {
-					if (validPath.startsWith(dir)) {
-						workspaceRoot = dir;
-						break;
-					}
-				}
+				const workspaceRoot = findAllowedRoot(validPath);
 				
-				const trashDir = path.join(workspaceRoot, 'Trash');
+				const trashDir = getTrashDir(workspaceRoot);
 				
 				// Check if file is already in Trash
-				const normalizedPath = normalizePath(validPath);
-				const normalizedTrash = normalizePath(trashDir);
-				if (normalizedPath.startsWith(normalizedTrash)) {
+				if (isPathInside(normalizePath(validPath), normalizePath(trashDir))) {
 					throw new Error(`Cannot delete files that are already in Trash. Please delete manually from: ${validPath}`);
 				}
 				
@@ -890,34 +6143,121 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 				
 				// Check if file with same name exists in trash
 				let trashPath = path.join(trashDir, fileName);
-				try {
-					await fs.access(trashPath);
+				if (fileName === TRASH_MANIFEST_NAME || await pathExists(trashPath)) {
 					// File exists, append timestamp
-					const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-					const ext = path.extname(fileName);
-					const base = path.basename(fileName, ext);
-					trashPath = path.join(trashDir, `${base}_${timestamp}${ext}`);
-				} catch {
-					// File doesn't exist in trash, use original name
+					trashPath = path.join(trashDir, timestampSuffix(fileName));
+				}
+				
+				const stats = await fs.stat(validPath);
+				const size = await getPathSize(validPath);
+				
+				// Use copy + delete for cross-drive compatibility
+				await movePath(validPath, trashPath);
+				
+				// Record where the item came from so it can be restored later
+				const manifest = await readTrashManifest(trashDir);
+				manifest.push({
+					name: path.basename(trashPath),
+					originalPath: validPath,
+					deletedAt: new Date().toISOString(),
+					size,
+					type: stats.isDirectory() ? 'directory' : 'file',
+				});
+				await writeTrashManifest(trashDir, manifest);
+				
+				return {
+					content: [{ 
+						type: "text", 
+						text: `Successfully moved ${parsed.data.path} to ${trashPath}` 
+					}],
+				};
+			}
+			case "list_trash": {
+				const parsed = ListTrashArgsSchema.safeParse(args);
+				if (!parsed.success) {
+					throw new Error(`Invalid arguments for list_trash: ${parsed.error}`);
+				}
+				const roots = await resolveTrashRoots(parsed.data.path);
+				const sections = [];
+				for (const root of roots) {
+					const trashDir = getTrashDir(root);
+					const items = await listTrashItems(trashDir);
+					const listing = items.length > 0 ? items.map(formatTrashItem).join('\n') : 'Trash is empty';
+					sections.push(`${trashDir}:\n${listing}`);
+				}
+				return {
+					content: [{ type: "text", text: sections.join('\n\n') }],
+				};
+			}
+			case "restore_from_trash": {
+				const parsed = RestoreFromTrashArgsSchema.safeParse(args);
+				if (!parsed.success) {
+					throw new Error(`Invalid arguments for restore_from_trash: ${parsed.error}`);
+				}
+				const [root] = await resolveTrashRoots(parsed.data.path, 'write');
+				const trashDir = getTrashDir(root);
+				const manifest = await readTrashManifest(trashDir);
+				const entry = manifest.find(item => item.name === parsed.data.name);
+				const trashPath = path.join(trashDir, parsed.data.name);
+				if (path.dirname(trashPath) !== trashDir || parsed.data.name === TRASH_MANIFEST_NAME || !await pathExists(trashPath)) {
+					throw new Error(`No item named ${parsed.data.name} in ${trashDir}`);
+				}
+				if (!entry) {
+					throw new Error(`Original location of ${parsed.data.name} is unknown. Use move_file to restore it manually.`);
 				}
-				
-				// Use copy + delete for cross-drive compatibility
-				const stats = await fs.stat(validPath);
-				if (stats.isDirectory()) {
-					// For directories, use recursive copy
-					await fs.cp(validPath, trashPath, { recursive: true });
-				} else {
-					// For files, simple copy
-					await fs.copyFile(validPath, trashPath);
+				// Restoring takes the item out of Trash, and overwriting deletes what is in its way
+				await validatePath(trashPath, 'delete');
+				let restorePath = await validatePath(entry.originalPath, 'write');
+				if (await pathExists(restorePath)) {
+					if (parsed.data.onConflict === 'fail') {
+						throw new Error(`Cannot restore, original path is occupied: ${restorePath}. ` +
+							"Use onConflict 'rename' or 'overwrite'.");
+					}
+					if (parsed.data.onConflict === 'rename') {
+						restorePath = path.join(path.dirname(restorePath), timestampSuffix(path.basename(restorePath), 'restored_'));
+					}
+					else {
+						await validatePath(restorePath, 'delete');
+						await fs.rm(restorePath, { recursive: true, force: true });
+					}
 				}
-				
-				// Remove original after successful copy
-				await fs.rm(validPath, { recursive: true, force: true });
-				
+				await fs.mkdir(path.dirname(restorePath), { recursive: true });
+				await movePath(trashPath, restorePath);
+				await writeTrashManifest(trashDir, manifest.filter(item => item !== entry));
 				return {
-					content: [{ 
-						type: "text", 
-						text: `Successfully moved ${parsed.data.path} to ${trashPath}` 
+					content: [{ type: "text", text: `Successfully restored ${parsed.data.name} to ${restorePath}` }],
+				};
+			}
+			case "empty_trash": {
+				const parsed = EmptyTrashArgsSchema.safeParse(args);
+				if (!parsed.success) {
+					throw new Error(`Invalid arguments for empty_trash: ${parsed.error}`);
+				}
+				const { names, olderThanDays } = parsed.data;
+				const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+				const roots = await resolveTrashRoots(parsed.data.path, 'delete');
+				const purged = [];
+				for (const root of roots) {
+					const trashDir = getTrashDir(root);
+					const items = await listTrashItems(trashDir);
+					const toPurge = items.filter(item => (!names || names.includes(item.name)) &&
+						(cutoff === null || new Date(item.deletedAt).getTime() < cutoff));
+					for (const item of toPurge) {
+						await fs.rm(path.join(trashDir, item.name), { recursive: true, force: true });
+						purged.push(path.join(trashDir, item.name));
+					}
+					if (toPurge.length > 0) {
+						const manifest = await readTrashManifest(trashDir);
+						const purgedNames = new Set(toPurge.map(item => item.name));
+						await writeTrashManifest(trashDir, manifest.filter(item => !purgedNames.has(item.name)));
+					}
+				}
+				return {
+					content: [{
+						type: "text",
+						text: purged.length > 0
+							? `Permanently deleted ${purged.length} items:\n${purged.join('\n')}`
+							: 'Nothing to delete'
 					}],
 				};
 			}
@@ -928,7 +6268,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 				}
 				
 				const validSourcePath = await validatePath(parsed.data.source);
-				const validDestPath = await validatePath(parsed.data.destination);
+				const validDestPath = await validatePath(parsed.data.destination, 'write');
 				
 				// Check if destination already exists
 				try {
@@ -993,9 +6333,18 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     throw new Error(`Invalid arguments for read_file: ${parsed.error}`);
                 }
                 const validPath = await validatePath(parsed.data.path);
-                const content = await fs.readFile(validPath, "utf-8");
+                const { content, format } = await readFileContent(validPath, parsed.data);
+                // Hashing reads the whole file, so ranged reads skip it unless asked
+                const versionInfo = await getVersionInfo(validPath, {
+                    hash: parsed.data.includeHash ?? !hasReadRange(parsed.data),
+                });
+                // Only mention the format when it is not plain UTF-8 with LF line endings
+                const formatNote = isDefaultTextFormat(format) ? '' : `\n${describeTextFormat(format)}`;
                 return {
-                    content: [{ type: "text", text: content }],
+                    content: [
+                        { type: "text", text: content },
+                        { type: "text", text: formatVersionInfo(versionInfo) + formatNote },
+                    ],
                 };
             }
             case "read_multiple_files": {
@@ -1006,7 +6355,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 const results = await Promise.all(parsed.data.paths.map(async (filePath) => {
                     try {
                         const validPath = await validatePath(filePath);
-                        const content = await fs.readFile(validPath, "utf-8");
+                        const { content } = await readFileContent(validPath, parsed.data);
                         return `${filePath}:\n${content}\n`;
                     }
                     catch (error) {
@@ -1018,15 +6367,32 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     content: [{ type: "text", text: results.join("\n---\n") }],
                 };
             }
+            case "read_table": {
+                const parsed = ReadTableArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for read_table: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path);
+                const table = await readTable(validPath, parsed.data);
+                return {
+                    content: [{ type: "text", text: formatTable(table) }],
+                };
+            }
             case "write_file": {
                 const parsed = WriteFileArgsSchema.safeParse(args);
                 if (!parsed.success) {
                     throw new Error(`Invalid arguments for write_file: ${parsed.error}`);
                 }
-                const validPath = await validatePath(parsed.data.path);
-                await fs.writeFile(validPath, parsed.data.content, "utf-8");
+                const validPath = await validatePath(parsed.data.path, 'write');
+                await checkWritePreconditions(validPath, parsed.data);
+                const format = await resolveWriteFormat(validPath, parsed.data.content, parsed.data);
+                await snapshotFile(validPath, 'write_file');
+                recordAuditBytes(await writeTextFile(validPath, parsed.data.content, format));
+                const versionInfo = await getVersionInfo(validPath);
+                const writtenFormat = { ...format, lineEnding: format.lineEnding ?? detectLineEnding(parsed.data.content) };
+                const formatNote = isDefaultTextFormat(writtenFormat) ? '' : `\n${describeTextFormat(writtenFormat)}`;
                 return {
-                    content: [{ type: "text", text: `Successfully wrote to ${parsed.data.path}` }],
+                    content: [{ type: "text", text: `Successfully wrote to ${parsed.data.path}\n${formatVersionInfo(versionInfo)}${formatNote}` }],
                 };
             }
             case "edit_file": {
@@ -1034,10 +6400,263 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 if (!parsed.success) {
                     throw new Error(`Invalid arguments for edit_file: ${parsed.error}`);
                 }
-                const validPath = await validatePath(parsed.data.path);
+                const validPath = await validatePath(parsed.data.path, parsed.data.dryRun ? 'read' : 'write');
+                await checkWritePreconditions(validPath, parsed.data);
                 const result = await applyFileEdits(validPath, parsed.data.edits, parsed.data.dryRun);
+                const versionInfo = await getVersionInfo(validPath);
+                return {
+                    content: [
+                        { type: "text", text: result },
+                        { type: "text", text: formatVersionInfo(versionInfo) },
+                    ],
+                };
+            }
+            case "list_file_history": {
+                const parsed = ListFileHistoryArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for list_file_history: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path);
+                const index = await readHistoryIndex(getHistoryDir(validPath), validPath);
+                const formatted = index.versions
+                    .slice()
+                    .reverse()
+                    .map(entry => `version ${entry.version}: ${entry.savedAt} (${entry.size} bytes, before ${entry.reason})`)
+                    .join("\n");
+                return {
+                    content: [{ type: "text", text: formatted || `No history recorded for ${parsed.data.path}` }],
+                };
+            }
+            case "diff_file_version": {
+                const parsed = DiffFileVersionArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for diff_file_version: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path);
+                const oldContent = decodeTextBuffer(await readFileVersion(validPath, parsed.data.version)).text;
+                const newContent = parsed.data.againstVersion !== undefined
+                    ? decodeTextBuffer(await readFileVersion(validPath, parsed.data.againstVersion)).text
+                    : (await readTextFile(validPath)).text;
+                const diff = createUnifiedDiff(oldContent, newContent, validPath);
+                return {
+                    content: [{ type: "text", text: formatDiff(diff) }],
+                };
+            }
+            case "revert_file": {
+                const parsed = RevertFileArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for revert_file: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path, parsed.data.dryRun ? 'read' : 'write');
+                // Versions are restored byte for byte, decoding is only for the diff
+                const restoredContent = await readFileVersion(validPath, parsed.data.version);
+                let currentContent = '';
+                try {
+                    currentContent = (await readTextFile(validPath)).text;
+                }
+                catch {
+                    // The file may have been deleted since the version was saved
+                }
+                const diff = createUnifiedDiff(currentContent, decodeTextBuffer(restoredContent).text, validPath);
+                if (!parsed.data.dryRun) {
+                    // The current content is snapshotted too, so a revert can itself be undone
+                    await snapshotFile(validPath, 'revert_file');
+                    await writeFileAtomic(validPath, restoredContent, null);
+                    recordAuditBytes(restoredContent.length);
+                }
+                return {
+                    content: [{ type: "text", text: formatDiff(diff) }],
+                };
+            }
+            case "apply_patch": {
+                const parsed = ApplyPatchArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for apply_patch: ${parsed.error}`);
+                }
+                const { text, failed } = await applyMultiFilePatch(parsed.data.patch, parsed.data);
+                return {
+                    content: [{ type: "text", text }],
+                    isError: failed,
+                };
+            }
+            case "query_structured_file": {
+                const parsed = QueryStructuredFileArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for query_structured_file: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path);
+                const text = await queryStructuredFile(validPath, parsed.data.query, parsed.data.format);
+                return {
+                    content: [{ type: "text", text }],
+                };
+            }
+            case "update_structured_file": {
+                const parsed = UpdateStructuredFileArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for update_structured_file: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path, parsed.data.dryRun ? 'read' : 'write');
+                await checkWritePreconditions(validPath, parsed.data);
+                const result = await updateStructuredFile(validPath, parsed.data.operations, parsed.data.format, parsed.data.dryRun);
+                const versionInfo = await getVersionInfo(validPath);
+                return {
+                    content: [
+                        { type: "text", text: result },
+                        { type: "text", text: formatVersionInfo(versionInfo) },
+                    ],
+                };
+            }
+            case "git_status": {
+                const parsed = GitStatusArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for git_status: ${parsed.error}`);
+                }
+                const repoPath = await resolveRepository(parsed.data.path);
+                const output = await runGit(repoPath, ['status', '--porcelain=v1', '--branch', '-z']);
+                return {
+                    content: [{ type: "text", text: JSON.stringify({ repository: repoPath, ...parseGitStatus(output) }, null, 2) }],
+                };
+            }
+            case "git_diff": {
+                const parsed = GitDiffArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for git_diff: ${parsed.error}`);
+                }
+                const { staged, from, to } = parsed.data;
+                if (to !== undefined && from === undefined) {
+                    throw new Error("'to' requires 'from'");
+                }
+                const repoPath = await resolveRepository(parsed.data.path);
+                const diffArgs = ['diff', '--no-ext-diff', '--no-textconv', '--no-color'];
+                if (staged) {
+                    diffArgs.push('--cached');
+                }
+                if (from !== undefined) {
+                    diffArgs.push(await resolveGitCommit(repoPath, from));
+                }
+                if (to !== undefined) {
+                    diffArgs.push(await resolveGitCommit(repoPath, to));
+                }
+                const pathArgs = ['--', ...await resolveRepoPaths(repoPath, parsed.data.paths)];
+                const excludes = await excludeDeniedGitPaths(repoPath, diffArgs, pathArgs);
+                const numstat = await runGit(repoPath, [...diffArgs, '--numstat', ...pathArgs, ...excludes]);
+                const diff = await runGit(repoPath, [...diffArgs, ...pathArgs, ...excludes]);
+                return {
+                    content: [
+                        { type: "text", text: JSON.stringify({ repository: repoPath, files: parseNumstat(numstat) }, null, 2) },
+                        { type: "text", text: (diff ? formatDiff(truncateGitOutput(diff)) : 'No differences') + formatHiddenGitPaths(excludes) },
+                    ],
+                };
+            }
+            case "git_log": {
+                const parsed = GitLogArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for git_log: ${parsed.error}`);
+                }
+                const repoPath = await resolveRepository(parsed.data.path);
+                const logArgs = ['log', `--max-count=${parsed.data.maxCount}`, `--format=${GIT_LOG_FORMAT}`];
+                if (parsed.data.author !== undefined) {
+                    logArgs.push(`--author=${parsed.data.author}`);
+                }
+                if (parsed.data.since !== undefined) {
+                    logArgs.push(`--since=${parsed.data.since}`);
+                }
+                if (parsed.data.grep !== undefined) {
+                    logArgs.push(`--grep=${parsed.data.grep}`);
+                }
+                if (parsed.data.ref !== undefined) {
+                    logArgs.push(validateGitRef(parsed.data.ref));
+                }
+                logArgs.push('--', ...await resolveRepoPaths(repoPath, parsed.data.paths));
+                const commits = parseGitLog(await runGit(repoPath, logArgs));
+                return {
+                    content: [{ type: "text", text: JSON.stringify(commits, null, 2) }],
+                };
+            }
+            case "git_show": {
+                const parsed = GitShowArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for git_show: ${parsed.error}`);
+                }
+                const repoPath = await resolveRepository(parsed.data.path);
+                const ref = await resolveGitCommit(repoPath, parsed.data.ref);
+                if (parsed.data.file !== undefined) {
+                    const [file] = await resolveRepoPaths(repoPath, [parsed.data.file]);
+                    const content = await runGit(repoPath, ['show', '--no-textconv', `${ref}:${file.split(path.sep).join('/')}`]);
+                    return {
+                        content: [{ type: "text", text: truncateGitOutput(content) }],
+                    };
+                }
+                const [commit] = parseGitLog(await runGit(repoPath, ['show', '--no-patch', `--format=${GIT_LOG_FORMAT}`, ref, '--']));
+                const showArgs = ['show', '--no-ext-diff', '--no-textconv', '--no-color', '--format=', ref];
+                const excludes = await excludeDeniedGitPaths(repoPath, showArgs, ['--']);
+                const diff = await runGit(repoPath, [...showArgs, '--', ...excludes]);
+                return {
+                    content: [
+                        { type: "text", text: JSON.stringify(commit, null, 2) },
+                        { type: "text", text: (diff ? formatDiff(truncateGitOutput(diff)) : 'No changes') + formatHiddenGitPaths(excludes) },
+                    ],
+                };
+            }
+            case "git_add": {
+                const parsed = GitAddArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for git_add: ${parsed.error}`);
+                }
+                const repoPath = await resolveRepository(parsed.data.path, 'write');
+                const paths = await resolveRepoPaths(repoPath, parsed.data.paths);
+                await runGit(repoPath, ['add', '--', ...paths]);
+                const output = await runGit(repoPath, ['status', '--porcelain=v1', '--branch', '-z']);
+                return {
+                    content: [{ type: "text", text: JSON.stringify({ repository: repoPath, ...parseGitStatus(output) }, null, 2) }],
+                };
+            }
+            case "git_commit": {
+                const parsed = GitCommitArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for git_commit: ${parsed.error}`);
+                }
+                const repoPath = await resolveRepository(parsed.data.path, 'write');
+                const commitArgs = ['commit', '--no-verify', `--message=${parsed.data.message}`];
+                if (parsed.data.all) {
+                    commitArgs.push('--all');
+                }
+                if (parsed.data.paths.length > 0) {
+                    commitArgs.push('--', ...await resolveRepoPaths(repoPath, parsed.data.paths));
+                }
+                await runGit(repoPath, commitArgs);
+                const [commit] = parseGitLog(await runGit(repoPath, ['log', '--max-count=1', `--format=${GIT_LOG_FORMAT}`]));
+                const numstat = await runGit(repoPath, ['show', '--numstat', '--format=', 'HEAD', '--']);
+                return {
+                    content: [{ type: "text", text: JSON.stringify({ ...commit, files: parseNumstat(numstat) }, null, 2) }],
+                };
+            }
+            case "run_command": {
+                const parsed = RunCommandArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for run_command: ${parsed.error}`);
+                }
+                if (commandAllowlist.length === 0) {
+                    throw new Error("No commands are allowed. Add executables to the extension's command allowlist setting first.");
+                }
+                if (!isCommandAllowed(parsed.data.command)) {
+                    throw new Error(`Command not allowed: ${parsed.data.command}. Allowed commands: ${commandAllowlist.join(', ')}`);
+                }
+                const validCwd = await validatePath(parsed.data.cwd, 'write');
+                if (!(await fs.stat(validCwd)).isDirectory()) {
+                    throw new Error(`Working directory is not a directory: ${parsed.data.cwd}`);
+                }
+                const result = await runCommand(parsed.data.command, parsed.data.args, validCwd, parsed.data);
+                const status = result.timedOut
+                    ? `timed out after ${parsed.data.timeoutMs} ms`
+                    : result.signal ? `killed by ${result.signal}` : `exit code ${result.exitCode}`;
+                const text = `$ ${[parsed.data.command, ...parsed.data.args].join(' ')}\n` +
+                    `cwd: ${validCwd}\n` +
+                    `${status} (${(result.durationMs / 1000).toFixed(1)}s)\n\n` +
+                    `--- stdout ---\n${result.stdout}\n--- stderr ---\n${result.stderr}`;
                 return {
-                    content: [{ type: "text", text: result }],
+                    content: [{ type: "text", text }],
+                    isError: result.timedOut || result.exitCode !== 0,
                 };
             }
             case "create_directory": {
@@ -1045,7 +6664,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 if (!parsed.success) {
                     throw new Error(`Invalid arguments for create_directory: ${parsed.error}`);
                 }
-                const validPath = await validatePath(parsed.data.path);
+                const validPath = await validatePath(parsed.data.path, 'write');
                 await fs.mkdir(validPath, { recursive: true });
                 return {
                     content: [{ type: "text", text: `Successfully created directory ${parsed.data.path}` }],
@@ -1056,11 +6675,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 if (!parsed.success) {
                     throw new Error(`Invalid arguments for list_directory: ${parsed.error}`);
                 }
+                parsed.data.respectGitignore ??= respectGitignoreByDefault;
                 const validPath = await validatePath(parsed.data.path);
-                const entries = await fs.readdir(validPath, { withFileTypes: true });
-                const formatted = entries
-                    .map((entry) => `${entry.isDirectory() ? "[DIR]" : "[FILE]"} ${entry.name}`)
-                    .join("\n");
+                const { entries, total, nextOffset } = await listDirectoryEntries(validPath, parsed.data);
+                if (parsed.data.format === 'json') {
+                    return {
+                        content: [{ type: "text", text: JSON.stringify({ path: validPath, total, nextOffset, entries }, null, 2) }],
+                    };
+                }
+                let formatted = entries.map(entry => formatDirectoryEntry(entry, parsed.data.details)).join("\n");
+                if (parsed.data.offset > 0 || nextOffset !== null) {
+                    const range = entries.length > 0
+                        ? `entries ${parsed.data.offset + 1}-${parsed.data.offset + entries.length} of ${total}`
+                        : `no entries returned, directory has ${total} entries`;
+                    formatted += `\n\n[${range}${nextOffset !== null ? `; continue with offset=${nextOffset}` : ''}]`;
+                }
                 return {
                     content: [{ type: "text", text: formatted }],
                 };
@@ -1070,29 +6699,22 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 if (!parsed.success) {
                     throw new Error(`Invalid arguments for directory_tree: ${parsed.error}`);
                 }
-                async function buildTree(currentPath) {
-                    const validPath = await validatePath(currentPath);
-                    const entries = await fs.readdir(validPath, { withFileTypes: true });
-                    const result = [];
-                    for (const entry of entries) {
-                        const entryData = {
-                            name: entry.name,
-                            type: entry.isDirectory() ? 'directory' : 'file'
-                        };
-                        if (entry.isDirectory()) {
-                            const subPath = path.join(currentPath, entry.name);
-                            entryData.children = await buildTree(subPath);
-                        }
-                        result.push(entryData);
-                    }
-                    return result;
+                parsed.data.respectGitignore ??= respectGitignoreByDefault;
+                const validPath = await validatePath(parsed.data.path);
+                const { tree, truncated } = await buildDirectoryTree(validPath, parsed.data);
+                if (parsed.data.format === 'text') {
+                    const text = formatTreeText(tree);
+                    return {
+                        content: [{
+                                type: "text",
+                                text: truncated ? `${text}\n\n[Output truncated after ${parsed.data.maxEntries} entries]` : text
+                            }],
+                    };
                 }
-                const treeData = await buildTree(parsed.data.path);
+                // Keep the output valid JSON by flagging truncation inside it
+                const result = truncated ? { tree, truncated: true, maxEntries: parsed.data.maxEntries } : tree;
                 return {
-                    content: [{
-                            type: "text",
-                            text: JSON.stringify(treeData, null, 2)
-                        }],
+                    content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
                 };
             }
             case "move_file": {
@@ -1100,8 +6722,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 if (!parsed.success) {
                     throw new Error(`Invalid arguments for move_file: ${parsed.error}`);
                 }
-                const validSourcePath = await validatePath(parsed.data.source);
-                const validDestPath = await validatePath(parsed.data.destination);
+                const validSourcePath = await validatePath(parsed.data.source, 'delete');
+                const validDestPath = await validatePath(parsed.data.destination, 'write');
                 await fs.rename(validSourcePath, validDestPath);
                 return {
                     content: [{ type: "text", text: `Successfully moved ${parsed.data.source} to ${parsed.data.destination}` }],
@@ -1112,8 +6734,16 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 if (!parsed.success) {
                     throw new Error(`Invalid arguments for search_files: ${parsed.error}`);
                 }
+                parsed.data.respectGitignore ??= respectGitignoreByDefault;
                 const validPath = await validatePath(parsed.data.path);
-                const results = await searchFiles(validPath, parsed.data.pattern, parsed.data.excludePatterns);
+                if (parsed.data.mode === 'content') {
+                    const { results, skippedBinary } = await searchContents(validPath, parsed.data.pattern, parsed.data);
+                    const summary = skippedBinary > 0 ? `\n\n[${skippedBinary} binary files skipped]` : '';
+                    return {
+                        content: [{ type: "text", text: (results.length > 0 ? results.join("\n\n") : "No matches found") + summary }],
+                    };
+                }
+                const results = await searchFiles(validPath, parsed.data.pattern, parsed.data);
                 return {
                     content: [{ type: "text", text: results.length > 0 ? results.join("\n") : "No matches found" }],
                 };
@@ -1131,16 +6761,277 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                                 .join("\n") }],
                 };
             }
+            case "create_archive": {
+                const parsed = CreateArchiveArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for create_archive: ${parsed.error}`);
+                }
+                parsed.data.respectGitignore ??= respectGitignoreByDefault;
+                const format = parsed.data.format ?? archiveFormatFromName(parsed.data.path);
+                if (!format) {
+                    throw new Error(`Cannot tell the archive format from ${parsed.data.path}, pass format 'zip', 'tar' or 'tar.gz'`);
+                }
+                const outputPath = await validateNewPath(parsed.data.path, 'write');
+                if (!parsed.data.overwrite && await pathExists(outputPath)) {
+                    throw new Error(`${outputPath} already exists. Use overwrite to replace it.`);
+                }
+                const sourcePaths = [];
+                for (const source of parsed.data.sources) {
+                    sourcePaths.push(await validatePath(source));
+                }
+                const entries = await collectArchiveEntries(sourcePaths, { ...parsed.data, outputPath }, parsed.data);
+                const tarBuffer = format === 'zip' ? null : writeTar(entries);
+                const archive = format === 'zip' ? writeZip(entries) : format === 'tar' ? tarBuffer : zlib.gzipSync(tarBuffer);
+                await fs.mkdir(path.dirname(outputPath), { recursive: true });
+                await writeFileAtomic(outputPath, archive, null);
+                recordAuditBytes(archive.length);
+                const fileCount = entries.filter(entry => entry.type === 'file').length;
+                return {
+                    content: [{
+                            type: "text",
+                            text: `Created ${outputPath} (${format}, ${fileCount} files, ${entries.length - fileCount} directories, ${archive.length} bytes)`
+                        }],
+                };
+            }
+            case "list_archive": {
+                const parsed = ListArchiveArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for list_archive: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path);
+                const { format, entries } = await readArchive(validPath, parsed.data.format, parsed.data);
+                const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+                return {
+                    content: [{
+                            type: "text",
+                            text: `${entries.map(formatArchiveEntry).join('\n')}\n\n${format}, ${entries.length} entries, ${totalBytes} bytes uncompressed`
+                        }],
+                };
+            }
+            case "extract_archive": {
+                const parsed = ExtractArchiveArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for extract_archive: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path);
+                const destination = await validateNewPath(parsed.data.destination, 'write');
+                const { entries } = await readArchive(validPath, parsed.data.format, parsed.data);
+                checkArchiveLimits(entries, parsed.data);
+                await fs.mkdir(destination, { recursive: true });
+                const { plan, skipped } = await planArchiveExtraction(entries, destination, parsed.data.onConflict);
+                const bytesWritten = await extractArchiveEntries(plan, destination);
+                recordAuditBytes(bytesWritten);
+                const lines = [`Extracted ${plan.length} entries (${bytesWritten} bytes) to ${destination}`];
+                if (skipped.length > 0) {
+                    lines.push(`Skipped ${skipped.length}:`, ...skipped.map(item => `  ${item}`));
+                }
+                return {
+                    content: [{ type: "text", text: lines.join('\n') }],
+                };
+            }
+            case "compute_checksum": {
+                const parsed = ComputeChecksumArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for compute_checksum: ${parsed.error}`);
+                }
+                parsed.data.respectGitignore ??= respectGitignoreByDefault;
+                const validPath = await validatePath(parsed.data.path);
+                const outputPath = parsed.data.outputPath ? await validatePath(parsed.data.outputPath, 'write') : null;
+                const manifest = formatChecksumManifest(await computeChecksums(validPath, parsed.data, outputPath));
+                let text = manifest || 'No files found';
+                if (outputPath) {
+                    await writeFileAtomic(outputPath, manifest + '\n');
+                    recordAuditBytes(Buffer.byteLength(manifest) + 1);
+                    text += `\n\nManifest written to ${outputPath}`;
+                }
+                return {
+                    content: [{ type: "text", text }],
+                };
+            }
+            case "verify_checksums": {
+                const parsed = VerifyChecksumsArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for verify_checksums: ${parsed.error}`);
+                }
+                const manifestPath = await validatePath(parsed.data.manifestPath);
+                const basePath = parsed.data.basePath ? await validatePath(parsed.data.basePath) : path.dirname(manifestPath);
+                const entries = parseChecksumManifest(await fs.readFile(manifestPath, 'utf-8'));
+                const { ok, failed, missing } = await verifyChecksums(entries, basePath, parsed.data.algorithm);
+                const lines = [`${ok.length} OK, ${failed.length} FAILED, ${missing.length} MISSING`];
+                if (failed.length > 0) {
+                    lines.push('', 'FAILED:', ...failed.map(item => `  ${item}`));
+                }
+                if (missing.length > 0) {
+                    lines.push('', 'MISSING:', ...missing.map(item => `  ${item}`));
+                }
+                return {
+                    content: [{ type: "text", text: lines.join('\n') }],
+                    isError: failed.length > 0 || missing.length > 0,
+                };
+            }
+            case "find_duplicates": {
+                const parsed = FindDuplicatesArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for find_duplicates: ${parsed.error}`);
+                }
+                parsed.data.respectGitignore ??= respectGitignoreByDefault;
+                const validPath = await validatePath(parsed.data.path);
+                const { groups, hashedFiles } = await findDuplicateFiles(validPath, parsed.data);
+                if (groups.length === 0) {
+                    return {
+                        content: [{ type: "text", text: `No duplicates found (${hashedFiles} files hashed)` }],
+                    };
+                }
+                const reclaimable = groups.reduce((sum, group) => sum + group.size * (group.paths.length - 1), 0);
+                const text = groups.map(group => `${group.paths.length} copies, ${group.size} bytes each, sha256 ${group.hash}:\n` +
+                    group.paths.map(filePath => `  ${filePath}`).join('\n')).join('\n\n');
+                return {
+                    content: [{
+                            type: "text",
+                            text: `${text}\n\n${groups.length} groups, ${reclaimable} bytes reclaimable`
+                        }],
+                };
+            }
+            case "batch_rename": {
+                const parsed = BatchRenameArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for batch_rename: ${parsed.error}`);
+                }
+                const validPath = await validatePath(parsed.data.path);
+                const { renames, unchanged, chained } = await planBatchRename(validPath, parsed.data);
+                if (renames.length === 0) {
+                    return {
+                        content: [{ type: "text", text: `Nothing to rename (${unchanged} matching files keep their names)` }],
+                    };
+                }
+                if (!parsed.data.dryRun) {
+                    await executeBatchRename(renames);
+                }
+                const fileCount = `${renames.length} ${renames.length === 1 ? 'file' : 'files'}`;
+                const lines = [`${parsed.data.dryRun ? 'Dry run, would rename' : 'Renamed'} ${fileCount}:`,
+                    formatRenameTable(validPath, renames)];
+                if (unchanged > 0) {
+                    lines.push(`${unchanged} matching files keep their names`);
+                }
+                if (chained > 0) {
+                    lines.push(`${chained} renames form chains or cycles and go through temporary names`);
+                }
+                return {
+                    content: [{ type: "text", text: lines.join('\n') }],
+                };
+            }
+            case "watch_directory": {
+                const parsed = WatchDirectoryArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for watch_directory: ${parsed.error}`);
+                }
+                parsed.data.respectGitignore ??= respectGitignoreByDefault;
+                const validPath = await validatePath(parsed.data.path);
+                if (!(await fs.stat(validPath)).isDirectory()) {
+                    throw new Error(`Not a directory: ${parsed.data.path}`);
+                }
+                const watch = await createWatch(validPath, parsed.data);
+                return {
+                    content: [{
+                            type: "text",
+                            text: `Watching ${validPath} as ${watch.id} (${watch.mode}, ${watch.snapshot.size} entries). ` +
+                                `Call get_changes with watchId "${watch.id}" and cursor 0.`
+                        }],
+                };
+            }
+            case "get_changes": {
+                const parsed = GetChangesArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for get_changes: ${parsed.error}`);
+                }
+                const { watchId, cursor, limit } = parsed.data;
+                const watch = getWatch(watchId);
+                // Pick up changes still waiting for the debounce or the next poll
+                clearTimeout(watch.debounceTimer);
+                await rescanWatch(watch);
+                const pending = watch.events.filter(event => event.seq > cursor);
+                const changes = pending.slice(0, limit);
+                const nextCursor = changes.length > 0 ? changes[changes.length - 1].seq : Math.max(cursor, watch.nextSeq - 1);
+                const lines = changes.map(formatWatchChange);
+                if (watch.events.length > 0 && watch.events[0].seq > cursor + 1) {
+                    lines.unshift(`[changes before ${watch.events[0].seq} were dropped, only the last ${MAX_WATCH_EVENTS} are kept]`);
+                }
+                if (pending.length > changes.length) {
+                    lines.push(`[${pending.length - changes.length} more changes, call again with cursor=${nextCursor}]`);
+                }
+                if (watch.lastError) {
+                    lines.push(`[last scan failed: ${watch.lastError}]`);
+                }
+                return {
+                    content: [{
+                            type: "text",
+                            text: `${changes.length > 0 ? '' : 'No changes\n'}${lines.join('\n')}${lines.length > 0 ? '\n' : ''}cursor: ${nextCursor}`
+                        }],
+                };
+            }
+            case "unwatch_directory": {
+                const parsed = UnwatchDirectoryArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for unwatch_directory: ${parsed.error}`);
+                }
+                const watch = getWatch(parsed.data.watchId);
+                stopWatch(watch);
+                return {
+                    content: [{ type: "text", text: `Stopped watching ${watch.path} (${watch.id})` }],
+                };
+            }
+            case "query_audit_log": {
+                const parsed = QueryAuditLogArgsSchema.safeParse(args);
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for query_audit_log: ${parsed.error}`);
+                }
+                if (!auditLogPath) {
+                    throw new Error("The audit log is turned off");
+                }
+                if (!await pathExists(auditLogPath)) {
+                    return {
+                        content: [{ type: "text", text: "The audit log is empty" }],
+                    };
+                }
+                const entries = await queryAuditLog(parsed.data);
+                return {
+                    content: [{
+                            type: "text",
+                            text: entries.length > 0 ? entries.map(formatAuditEntry).join('\n') : "No matching calls"
+                        }],
+                };
+            }
             case "list_allowed_directories": {
                 return {
                     content: [{
                             type: "text",
-                            text: `Allowed directories:\n${allowedDirectories.join('\n')}`
+                            text: `Allowed directories:\n${allowedDirectories.map(dir => `${dir} (${directoryModes.get(dir)})`).join('\n')}`
                         }],
                 };
             }
-            default:
-                throw new Error(`Unknown tool: ${name}`);
+            default: {
+                const toolchain = toolchains.find(candidate => candidate.tool === name);
+                if (!toolchain) {
+                    throw new Error(`Unknown tool: ${name}`);
+                }
+                const parsed = GetToolchainSchema.safeParse(args ?? {});
+                if (!parsed.success) {
+                    throw new Error(`Invalid arguments for ${name}: ${parsed.error}`);
+                }
+                const result = await detectToolchain(toolchain);
+                if (!result.installed) {
+                    const message = result.status === 'failed'
+                        ? `${toolchain.name} was found but ${result.error}`
+                        : `${toolchain.name} is not installed: ${result.error}`;
+                    return {
+                        content: [{ type: "text", text: message }],
+                        isError: true
+                    };
+                }
+                return {
+                    content: [{ type: "text", text: `${result.output}\n\n(${result.command} at ${result.path})` }],
+                };
+            }
         }
     }
     catch (error) {
@@ -1150,13 +7041,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             isError: true,
         };
     }
+}
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    // Reading the audit log is not itself logged
+    if (name === 'query_audit_log') {
+        return await handleToolCall(name, args);
+    }
+    return await withAuditLog(name, args, () => handleToolCall(name, args));
 });
 // Start server
 async function runServer() {
     const transport = new StdioServerTransport();
     await server.connect(transport);
     console.error("Secure MCP Filesystem Server running on stdio");
-    console.error("Allowed directories:", allowedDirectories);
+    console.error("Allowed directories:", Object.fromEntries(directoryModes));
 }
 runServer().catch((error) => {
     console.error("Fatal error running server:", error);
@@ -0,0 +1,91 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+let server;
+before(async () => {
+    server = await startServer();
+});
+after(async () => {
+    await server.close();
+});
+
+function applyPatch(patch, options = {}) {
+    return server.call('apply_patch', { patch, basePath: server.root, ...options });
+}
+function readFixture(name) {
+    return fs.readFile(path.join(server.root, name), 'utf-8');
+}
+
+describe('apply_patch', () => {
+    it('modifies, creates and deletes files in one patch', async () => {
+        await fs.writeFile(path.join(server.root, 'change.txt'), 'one\ntwo\nthree\n');
+        await fs.writeFile(path.join(server.root, 'remove.txt'), 'bye\n');
+        const result = await applyPatch([
+            '--- a/change.txt',
+            '+++ b/change.txt',
+            '@@ -1,3 +1,3 @@',
+            ' one',
+            '-two',
+            '+TWO',
+            ' three',
+            '--- /dev/null',
+            '+++ b/added.txt',
+            '@@ -0,0 +1 @@',
+            '+new',
+            '--- a/remove.txt',
+            '+++ /dev/null',
+            '@@ -1 +0,0 @@',
+            '-bye',
+            '',
+        ].join('\n'));
+        assert.match(result, /^Patch applied\nM change\.txt\n {4}hunk 1 .*: applied\nA added\.txt/);
+        assert.equal(await readFixture('change.txt'), 'one\nTWO\nthree\n');
+        assert.equal(await readFixture('added.txt'), 'new\n');
+        await assert.rejects(readFixture('remove.txt'), { code: 'ENOENT' });
+    });
+
+    it('changes nothing when a hunk does not apply', async () => {
+        await fs.writeFile(path.join(server.root, 'first.txt'), 'a\n');
+        await fs.writeFile(path.join(server.root, 'second.txt'), 'b\n');
+        const patch = [
+            '--- a/first.txt',
+            '+++ b/first.txt',
+            '@@ -1 +1 @@',
+            '-a',
+            '+A',
+            '--- a/second.txt',
+            '+++ b/second.txt',
+            '@@ -1 +1 @@',
+            '-missing',
+            '+B',
+            '',
+        ].join('\n');
+        await assert.rejects(applyPatch(patch), /Patch does not apply[\s\S]*hunk 1 .*: FAILED/);
+        assert.equal(await readFixture('first.txt'), 'a\n');
+    });
+
+    it('refuses two sections for the same file', async () => {
+        await fs.writeFile(path.join(server.root, 'a.txt'), 'one\ntwo\nthree\n');
+        const patch = [
+            '--- a/a.txt',
+            '+++ b/a.txt',
+            '@@ -1,2 +1,2 @@',
+            '-one',
+            '+ONE',
+            ' two',
+            '--- a/a.txt',
+            '+++ b/a.txt',
+            '@@ -2,2 +2,2 @@',
+            ' two',
+            '-three',
+            '+THREE',
+            '',
+        ].join('\n');
+        await assert.rejects(applyPatch(patch), /Patch does not apply[\s\S]*M a\.txt: FAILED - an earlier section/);
+        await assert.rejects(applyPatch(patch, { dryRun: true }), /an earlier section/);
+        assert.equal(await readFixture('a.txt'), 'one\ntwo\nthree\n');
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+describe('built-in deny rules', () => {
+    let server;
+    before(async () => {
+        server = await startServer();
+        await fs.mkdir(path.join(server.root, 'config', '.ssh'), { recursive: true });
+        await fs.writeFile(path.join(server.root, 'config', '.env.local'), 'SECRET=1\n');
+        await fs.writeFile(path.join(server.root, 'config', '.ssh', 'known_hosts'), 'host\n');
+        await fs.writeFile(path.join(server.root, 'config', 'app.json'), '{"SECRET": false}\n');
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it('refuses reads and writes with the pattern and reason', async () => {
+        await assert.rejects(server.call('read_file', { path: path.join(server.root, 'config', '.env.local') }),
+            /matches deny pattern "\.env\.\*" \(environment file that may contain secrets\)/);
+        await assert.rejects(server.call('write_file', { path: path.join(server.root, '.env'), content: 'A=1' }),
+            /matches deny pattern "\.env"/);
+        await assert.rejects(server.call('read_file', { path: path.join(server.root, 'config', '.ssh', 'known_hosts') }),
+            /matches deny pattern "\.ssh\/\*\*"/);
+    });
+
+    it('refuses symlinks to denied files', async () => {
+        const link = path.join(server.root, 'innocent.txt');
+        await fs.symlink(path.join(server.root, 'config', '.env.local'), link);
+        await assert.rejects(server.call('read_file', { path: link }), /deny pattern/);
+    });
+
+    it('leaves denied paths out of listings and searches', async () => {
+        const listing = await server.call('list_directory', { path: path.join(server.root, 'config') });
+        assert.match(listing, /app\.json/);
+        assert.doesNotMatch(listing, /\.env\.local/);
+        const matches = await server.call('search_files', { path: server.root, pattern: 'SECRET', mode: 'content' });
+        assert.match(matches, /app\.json/);
+        assert.doesNotMatch(matches, /\.env\.local/);
+    });
+});
+
+describe('containment', () => {
+    let server;
+    before(async () => {
+        server = await startServer();
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it('refuses sibling directories that share a prefix', async () => {
+        await assert.rejects(server.call('read_file', { path: `${server.root}-secrets/file.txt` }),
+            /outside allowed directories/);
+    });
+
+    it('refuses symlinks that leave the allowed directory', async () => {
+        const link = path.join(server.root, 'escape');
+        await fs.symlink(path.dirname(server.root), link);
+        await assert.rejects(server.call('list_directory', { path: link }), /outside allowed directories/);
+    });
+});
+
+describe('configured deny patterns', () => {
+    let server;
+    before(async () => {
+        server = await startServer([], { FILESYSTEM_DENY_PATTERNS: '/private/**, *.secret' });
+        await fs.mkdir(path.join(server.root, 'private'));
+        await fs.mkdir(path.join(server.root, 'nested', 'private'), { recursive: true });
+        await fs.writeFile(path.join(server.root, 'private', 'a.txt'), 'a');
+        await fs.writeFile(path.join(server.root, 'nested', 'private', 'b.txt'), 'b');
+        await fs.writeFile(path.join(server.root, '.env'), 'A=1');
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it('replace the built-in list and anchor patterns starting with a slash', async () => {
+        await assert.rejects(server.call('read_file', { path: path.join(server.root, 'private', 'a.txt') }),
+            /configured deny pattern/);
+        await assert.rejects(server.call('write_file', { path: path.join(server.root, 'x.secret'), content: '' }),
+            /configured deny pattern/);
+        assert.match(await server.call('read_file', { path: path.join(server.root, 'nested', 'private', 'b.txt') }), /^b\n/);
+        assert.match(await server.call('read_file', { path: path.join(server.root, '.env') }), /^A=1\n/);
+    });
+});
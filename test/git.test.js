@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+let server;
+let repo;
+function git(...args) {
+    return execFileSync('git', args, { cwd: repo, encoding: 'utf-8' }).trim();
+}
+before(async () => {
+    server = await startServer();
+    repo = path.join(server.root, 'repo');
+    await fs.mkdir(repo);
+    git('init', '--quiet');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    await fs.writeFile(path.join(repo, 'app.txt'), 'one\n');
+    await fs.writeFile(path.join(repo, '.env'), 'SECRET=hunter2\n');
+    git('add', '.');
+    git('commit', '--quiet', '-m', 'Initial commit');
+});
+after(async () => {
+    await server.close();
+});
+
+describe('git_show', () => {
+    it('shows a commit with its metadata and diff', async () => {
+        const text = await server.call('git_show', { path: repo });
+        assert.match(text, /"subject": "Initial commit"/);
+        assert.match(text, /\+one/);
+    });
+
+    it('leaves denied files out of the diff', async () => {
+        const text = await server.call('git_show', { path: repo });
+        assert.doesNotMatch(text, /hunter2/);
+        assert.match(text, /\[1 files matching deny patterns left out\]/);
+    });
+
+    it('shows a file at a ref, but not a denied one', async () => {
+        assert.equal(await server.call('git_show', { path: repo, ref: 'HEAD', file: 'app.txt' }), 'one\n');
+        await assert.rejects(server.call('git_show', { path: repo, ref: 'HEAD', file: '.env' }), /deny pattern/);
+    });
+
+    it('refuses refs that name file contents', async () => {
+        await assert.rejects(server.call('git_show', { path: repo, ref: 'HEAD:.env' }), /Invalid git ref/);
+        const blob = git('rev-parse', 'HEAD:.env');
+        await assert.rejects(server.call('git_show', { path: repo, ref: blob }), /Not a commit/);
+        await assert.rejects(server.call('git_diff', { path: repo, from: blob }), /Not a commit/);
+    });
+
+    it('refuses refs that look like options', async () => {
+        await assert.rejects(server.call('git_show', { path: repo, ref: '--output=x' }), /Invalid git ref/);
+    });
+});
+
+describe('changes', () => {
+    it('reports and commits changes without running hooks', async () => {
+        await fs.writeFile(path.join(repo, 'app.txt'), 'one\ntwo\n');
+        const diff = await server.call('git_diff', { path: repo });
+        assert.match(diff, /"added": 1/);
+        assert.match(diff, /\+two/);
+        const hookMarker = path.join(server.root, 'hook-ran');
+        await fs.writeFile(path.join(repo, '.git', 'hooks', 'pre-commit'), `#!/bin/sh\ntouch ${hookMarker}\n`, { mode: 0o755 });
+        await server.call('git_commit', { path: repo, message: 'Add two', all: true });
+        assert.equal(git('log', '-1', '--format=%s'), 'Add two');
+        await assert.rejects(fs.access(hookMarker));
+        const log = JSON.parse(await server.call('git_log', { path: repo }));
+        assert.deepEqual(log.map(commit => commit.subject), ['Add two', 'Initial commit']);
+    });
+
+    it('refuses to write inside .git', async () => {
+        await assert.rejects(server.call('write_file', { path: path.join(repo, '.git', 'hooks', 'post-commit'), content: '' }),
+            /inside a \.git directory/);
+    });
+});
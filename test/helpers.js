@@ -0,0 +1,49 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const serverPath = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// Starts the server with a fresh temporary directory as its only allowed directory,
+// flags such as --no-delete go before it and env adds to its environment. call() returns
+// the text of a tool result and throws with the text of a tool error; stderr holds what the
+// server logged so far.
+export async function startServer(flags = [], env = {}) {
+    const root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'filesystem-test-')));
+    const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: [serverPath, ...flags, root],
+        env: { ...process.env, FILESYSTEM_AUDIT_LOG: 'none', ...env },
+        stderr: 'pipe',
+    });
+    let stderr = '';
+    transport.stderr.on('data', chunk => {
+        stderr += chunk;
+    });
+    const client = new Client({ name: 'filesystem-test', version: '1.0.0' });
+    await client.connect(transport);
+    return {
+        root,
+        get stderr() {
+            return stderr;
+        },
+        async listTools() {
+            return (await client.listTools()).tools;
+        },
+        async call(name, args) {
+            const result = await client.callTool({ name, arguments: args });
+            const text = result.content.map(item => item.text).join('\n');
+            if (result.isError) {
+                throw new Error(text);
+            }
+            return text;
+        },
+        async close() {
+            await client.close();
+            await fs.rm(root, { recursive: true, force: true });
+        },
+    };
+}
@@ -0,0 +1,58 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+let server;
+let fixtureCount = 0;
+before(async () => {
+    server = await startServer();
+});
+after(async () => {
+    await server.close();
+});
+
+function fixturePath() {
+    return path.join(server.root, `fixture-${++fixtureCount}.txt`);
+}
+
+describe('file history', () => {
+    it('saves the previous content before each change', async () => {
+        const filePath = fixturePath();
+        await server.call('write_file', { path: filePath, content: 'v1\n' });
+        await server.call('write_file', { path: filePath, content: 'v2\n' });
+        await server.call('edit_file', { path: filePath, edits: [{ oldText: 'v2', newText: 'v3' }] });
+        const history = await server.call('list_file_history', { path: filePath });
+        assert.match(history, /^version 2: .*before edit_file\)\nversion 1: .*before write_file\)$/);
+        assert.match(await server.call('diff_file_version', { path: filePath, version: 1 }), /-v1\n\+v3/);
+    });
+
+    it('reverts to a saved version and keeps the current one', async () => {
+        const filePath = fixturePath();
+        await server.call('write_file', { path: filePath, content: 'first\n' });
+        await server.call('write_file', { path: filePath, content: 'second\n' });
+        assert.match(await server.call('revert_file', { path: filePath, version: 1, dryRun: true }), /-second\n\+first/);
+        assert.equal(await fs.readFile(filePath, 'utf-8'), 'second\n');
+        await server.call('revert_file', { path: filePath, version: 1 });
+        assert.equal(await fs.readFile(filePath, 'utf-8'), 'first\n');
+        assert.match(await server.call('list_file_history', { path: filePath }), /^version 2: .*before revert_file\)/);
+        await server.call('revert_file', { path: filePath, version: 2 });
+        assert.equal(await fs.readFile(filePath, 'utf-8'), 'second\n');
+    });
+
+    it('restores the saved bytes exactly', async () => {
+        const filePath = fixturePath();
+        const original = Buffer.from('\ufeffa\r\nb\r\n', 'utf-8');
+        await fs.writeFile(filePath, original);
+        await server.call('write_file', { path: filePath, content: 'replaced\n' });
+        await server.call('revert_file', { path: filePath, version: 1 });
+        assert.deepEqual(await fs.readFile(filePath), original);
+    });
+
+    it('reports unknown versions', async () => {
+        const filePath = fixturePath();
+        await server.call('write_file', { path: filePath, content: 'only\n' });
+        await assert.rejects(server.call('revert_file', { path: filePath, version: 5 }));
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+// Puts an item straight into Trash with a manifest entry, as delete_file would have
+async function trashItem(root, name, originalPath, content) {
+    const trashDir = path.join(root, 'Trash');
+    await fs.mkdir(trashDir, { recursive: true });
+    await fs.writeFile(path.join(trashDir, name), content);
+    const manifestPath = path.join(trashDir, '.trash-manifest.json');
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8').catch(() => '[]'));
+    manifest.push({ name, originalPath, deletedAt: new Date().toISOString(), size: content.length, type: 'file' });
+    await fs.writeFile(manifestPath, JSON.stringify(manifest));
+}
+
+describe('read-write roots', () => {
+    let server;
+    before(async () => {
+        server = await startServer();
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it('restores a deleted file to where it came from', async () => {
+        const filePath = path.join(server.root, 'notes.txt');
+        await fs.writeFile(filePath, 'notes');
+        await server.call('delete_file', { path: filePath });
+        assert.match(await server.call('list_trash', {}), /notes\.txt[\s\S]*from: .*notes\.txt/);
+        await server.call('restore_from_trash', { path: server.root, name: 'notes.txt' });
+        assert.equal(await fs.readFile(filePath, 'utf-8'), 'notes');
+    });
+
+    it('replaces an occupied path only with overwrite', async () => {
+        const filePath = path.join(server.root, 'config.txt');
+        await fs.writeFile(filePath, 'old');
+        await server.call('delete_file', { path: filePath });
+        await fs.writeFile(filePath, 'new');
+        await assert.rejects(server.call('restore_from_trash', { path: server.root, name: 'config.txt' }), /occupied/);
+        await server.call('restore_from_trash', { path: server.root, name: 'config.txt', onConflict: 'overwrite' });
+        assert.equal(await fs.readFile(filePath, 'utf-8'), 'old');
+    });
+
+    it('keeps the Trash manifest out of reach of the file tools', async () => {
+        const manifestPath = path.join(server.root, 'Trash', '.trash-manifest.json');
+        await assert.rejects(server.call('read_file', { path: manifestPath }), /Trash manifest/);
+        await assert.rejects(server.call('write_file', { path: manifestPath, content: '[]' }), /Trash manifest/);
+        const elsewhere = path.join(server.root, '.trash-manifest.json');
+        await assert.rejects(server.call('write_file', { path: elsewhere, content: '[]' }), /Trash manifest/);
+    });
+});
+
+describe('no-delete roots', () => {
+    let server;
+    before(async () => {
+        server = await startServer(['--no-delete']);
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it('allows writing but not deleting or moving', async () => {
+        const filePath = path.join(server.root, 'a.txt');
+        await server.call('write_file', { path: filePath, content: 'a' });
+        assert.equal(await fs.readFile(filePath, 'utf-8'), 'a');
+        await assert.rejects(server.call('delete_file', { path: filePath }), /no-delete/);
+        await assert.rejects(server.call('move_file', { source: filePath, destination: path.join(server.root, 'b.txt') }), /no-delete/);
+    });
+
+    it('refuses to restore over an existing directory', async () => {
+        const dirPath = path.join(server.root, 'project');
+        await fs.mkdir(dirPath);
+        await fs.writeFile(path.join(dirPath, 'keep.txt'), 'keep');
+        await trashItem(server.root, 'project', dirPath, 'replacement');
+        await assert.rejects(server.call('restore_from_trash', { path: server.root, name: 'project', onConflict: 'overwrite' }),
+            /no-delete/);
+        assert.equal(await fs.readFile(path.join(dirPath, 'keep.txt'), 'utf-8'), 'keep');
+    });
+});
+
+describe('read-only roots', () => {
+    let server;
+    before(async () => {
+        server = await startServer(['--read-only']);
+    });
+    after(async () => {
+        await server.close();
+    });
+
+    it('allows reading but no changes', async () => {
+        const filePath = path.join(server.root, 'a.txt');
+        await fs.writeFile(filePath, 'a');
+        assert.match(await server.call('read_file', { path: filePath }), /^a\n/);
+        await assert.rejects(server.call('write_file', { path: filePath, content: 'b' }), /read-only/);
+        await assert.rejects(server.call('edit_file', { path: filePath, edits: [{ oldText: 'a', newText: 'b' }] }), /read-only/);
+        await assert.rejects(server.call('create_directory', { path: path.join(server.root, 'dir') }), /read-only/);
+        await assert.rejects(server.call('delete_file', { path: filePath }), /read-only/);
+        assert.equal(await fs.readFile(filePath, 'utf-8'), 'a');
+    });
+});
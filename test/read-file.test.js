@@ -0,0 +1,111 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+let server;
+let fixtureCount = 0;
+before(async () => {
+    server = await startServer();
+});
+after(async () => {
+    await server.close();
+});
+
+async function writeFixture(content) {
+    const filePath = path.join(server.root, `fixture-${++fixtureCount}.txt`);
+    await fs.writeFile(filePath, content);
+    return filePath;
+}
+// Splits a ranged read into the returned content and the continuation it reports
+async function readRange(args) {
+    const text = await server.call('read_file', args);
+    const match = text.match(/^([\s\S]*)\n\n\[(.*)\]\n/);
+    const next = match[2].match(/continue with offset=(\d+)(?:, column=(\d+))?/);
+    return {
+        content: match[1],
+        notes: match[2],
+        offset: next ? Number(next[1]) : null,
+        column: next?.[2] !== undefined ? Number(next[2]) : null,
+    };
+}
+// Follows the reported continuations until the end and returns the text as it was read
+async function readAllPages(filePath, maxBytes) {
+    let text = '';
+    let args = { path: filePath, offset: 0, maxBytes };
+    for (let page = 0; page < 1000; page++) {
+        const result = await readRange(args);
+        text += result.content;
+        if (result.offset === null) {
+            return text;
+        }
+        if (result.column === null) {
+            text += '\n';
+        }
+        args = { path: filePath, offset: result.offset, column: result.column ?? undefined, maxBytes };
+    }
+    throw new Error('Paging did not finish');
+}
+
+describe('ranges', () => {
+    const content = 'one\ntwo\nthree\nfour\nfive\n';
+
+    it('reads lines by offset and limit', async () => {
+        const filePath = await writeFixture(content);
+        const result = await readRange({ path: filePath, offset: 1, limit: 2 });
+        assert.equal(result.content, 'two\nthree');
+        assert.match(result.notes, /lines 2-3 of 5/);
+        assert.equal(result.offset, 3);
+    });
+
+    it('reads the first and last lines', async () => {
+        const filePath = await writeFixture(content);
+        assert.equal((await readRange({ path: filePath, head: 2 })).content, 'one\ntwo');
+        assert.equal((await readRange({ path: filePath, tail: 2 })).content, 'four\nfive');
+    });
+
+    it('refuses tail together with offset or column', async () => {
+        const filePath = await writeFixture(content);
+        await assert.rejects(server.call('read_file', { path: filePath, tail: 1, offset: 1 }), /tail/);
+        await assert.rejects(server.call('read_file', { path: filePath, tail: 1, column: 1 }), /tail/);
+    });
+});
+
+describe('maxBytes', () => {
+    it('stops before the line that does not fit', async () => {
+        const filePath = await writeFixture('aaaa\nbbbb\ncccc\n');
+        const result = await readRange({ path: filePath, maxBytes: 12 });
+        assert.equal(result.content, 'aaaa\nbbbb');
+        assert.match(result.notes, /truncated by maxBytes/);
+        assert.equal(result.offset, 2);
+        assert.equal(result.column, null);
+    });
+
+    it('pages through a long line without splitting characters', async () => {
+        const content = 'short\n' + 'ab€😀'.repeat(20) + '\nend';
+        const filePath = await writeFixture(content);
+        assert.equal(await readAllPages(filePath, 7), content);
+    });
+
+    it('returns a whole character even when maxBytes is smaller', async () => {
+        const content = '😀é😀\nx';
+        const filePath = await writeFixture(content);
+        const result = await readRange({ path: filePath, maxBytes: 1 });
+        assert.equal(result.content, '😀');
+        assert.equal(result.offset, 0);
+        assert.equal(result.column, 2);
+        assert.equal(await readAllPages(filePath, 1), content);
+    });
+
+    it('cuts a long last line in tail reads', async () => {
+        const longLine = 'x'.repeat(5000);
+        const filePath = await writeFixture(`first\n${longLine}`);
+        const result = await readRange({ path: filePath, tail: 1, maxBytes: 10 });
+        assert.equal(result.content, 'x'.repeat(10));
+        assert.equal(result.offset, 1);
+        assert.equal(result.column, 10);
+        const rest = await readRange({ path: filePath, offset: 1, column: 10 });
+        assert.equal(rest.content, 'x'.repeat(4990));
+    });
+});
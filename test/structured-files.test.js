@@ -0,0 +1,344 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+let server;
+let fixtureCount = 0;
+before(async () => {
+    server = await startServer();
+});
+after(async () => {
+    await server.close();
+});
+
+async function writeFixture(extension, content) {
+    const filePath = path.join(server.root, `fixture-${++fixtureCount}.${extension}`);
+    await fs.writeFile(filePath, content);
+    return filePath;
+}
+async function query(extension, content, queryText) {
+    const filePath = await writeFixture(extension, content);
+    return await server.call('query_structured_file', { path: filePath, query: queryText });
+}
+async function queryValue(extension, content, queryText) {
+    return JSON.parse(await query(extension, content, queryText));
+}
+// Applies the operations and returns the file content afterwards
+async function update(extension, content, operations) {
+    const filePath = await writeFixture(extension, content);
+    await server.call('update_structured_file', { path: filePath, operations });
+    return await fs.readFile(filePath, 'utf-8');
+}
+
+describe('paths', () => {
+    const json = '{"server": {"port": 8080}, "items": [{"name": "a"}, {"name": "b"}], "key.with.dots": 1}';
+
+    it('reads dotted paths and indexes', async () => {
+        assert.equal(await queryValue('json', json, 'server.port'), 8080);
+        assert.equal(await queryValue('json', json, 'items[1].name'), 'b');
+        assert.equal(await queryValue('json', json, '$.items[0].name'), 'a');
+    });
+
+    it('counts negative indexes from the end', async () => {
+        assert.equal(await queryValue('json', json, 'items[-1].name'), 'b');
+    });
+
+    it('reads keys containing dots with brackets', async () => {
+        assert.equal(await queryValue('json', json, '$["key.with.dots"]'), 1);
+    });
+
+    it('lists every match of wildcards and recursive descent', async () => {
+        assert.equal(await query('json', json, '$.items[*].name'), '$.items[0].name = "a"\n$.items[1].name = "b"');
+        assert.equal(await query('json', json, '$..port'), '$.server.port = 8080');
+    });
+
+    it('reports missing values', async () => {
+        assert.equal(await query('json', json, 'server.host'), 'No value at server.host');
+    });
+});
+
+describe('JSON', () => {
+    it('reads files with comments and trailing commas', async () => {
+        const content = '{\n  // settings\n  "a": {"b": [1, 2, {"c": "x"},]}, /* more */\n  "d": true,\n}\n';
+        assert.equal(await queryValue('json', content, 'a.b[2].c'), 'x');
+        assert.equal(await queryValue('json', content, 'd'), true);
+    });
+
+    it('replaces a value and keeps comments and formatting', async () => {
+        const content = '{\n  // port to listen on\n  "port": 8080,\n  "name": "app" /* trailing */\n}\n';
+        assert.equal(await update('json', content, [{ op: 'set', path: 'port', value: 9090 }]),
+            '{\n  // port to listen on\n  "port": 9090,\n  "name": "app" /* trailing */\n}\n');
+    });
+
+    it('adds keys with the indentation of the file', async () => {
+        const content = '{\n    "a": 1\n}\n';
+        assert.equal(await update('json', content, [{ op: 'set', path: 'b', value: { c: true } }]),
+            '{\n    "a": 1,\n    "b": {\n        "c": true\n    }\n}\n');
+    });
+
+    it('creates missing objects on the way', async () => {
+        const content = '{\n  "a": {}\n}\n';
+        const result = await update('json', content, [{ op: 'set', path: 'a.b.c', value: 'x' }]);
+        assert.deepEqual(JSON.parse(result), { a: { b: { c: 'x' } } });
+    });
+
+    it('deletes an entry together with its comment', async () => {
+        const content = '{\n  "a": 1, // keep\n  "b": 2, // drop\n  "c": 3\n}\n';
+        assert.equal(await update('json', content, [{ op: 'delete', path: 'b' }]),
+            '{\n  "a": 1, // keep\n  "c": 3\n}\n');
+    });
+
+    it('keeps comments on their lines when deleting or adding the last entry', async () => {
+        const content = '{\n  "a": 1, // one\n  "b": 2 // two\n}\n';
+        assert.equal(await update('json', content, [{ op: 'delete', path: 'b' }]), '{\n  "a": 1 // one\n}\n');
+        assert.equal(await update('json', content, [{ op: 'set', path: 'c', value: 3 }]),
+            '{\n  "a": 1, // one\n  "b": 2, // two\n  "c": 3\n}\n');
+    });
+
+    it('keeps trailing commas', async () => {
+        const content = '{\n  "a": [\n    1, // one\n    2, // two\n  ]\n}\n';
+        assert.equal(await update('json', content, [{ op: 'append', path: 'a', value: 3 }, { op: 'delete', path: 'a[0]' }]),
+            '{\n  "a": [\n    2, // two\n    3,\n  ]\n}\n');
+    });
+
+    it('deletes the last entry and its separating comma', async () => {
+        assert.equal(await update('json', '{"a": 1, "b": 2}', [{ op: 'delete', path: 'b' }]), '{"a": 1}');
+        assert.equal(await update('json', '[1, 2, 3]', [{ op: 'delete', path: '[2]' }]), '[1, 2]');
+    });
+
+    it('appends to inline and multi-line arrays', async () => {
+        assert.equal(await update('json', '{"a": [1, 2]}', [{ op: 'append', path: 'a', value: 3 }]), '{"a": [1, 2, 3]}');
+        assert.equal(await update('json', '{\n  "a": [\n    1\n  ]\n}\n', [{ op: 'append', path: 'a', value: 2 }]),
+            '{\n  "a": [\n    1,\n    2\n  ]\n}\n');
+    });
+
+    it('creates the array when appending to a missing path', async () => {
+        const result = await update('json', '{"a": 1}', [{ op: 'append', path: 'list', value: 'x' }]);
+        assert.deepEqual(JSON.parse(result), { a: 1, list: ['x'] });
+    });
+
+    it('runs operations in order', async () => {
+        const result = await update('json', '{"a": 1}', [
+            { op: 'set', path: 'b', value: [] },
+            { op: 'append', path: 'b', value: 1 },
+            { op: 'delete', path: 'a' },
+        ]);
+        assert.deepEqual(JSON.parse(result), { b: [1] });
+    });
+
+    it('keeps CRLF line endings', async () => {
+        const content = '{\r\n  "a": 1\r\n}\r\n';
+        assert.equal(await update('json', content, [{ op: 'set', path: 'b', value: 2 }]),
+            '{\r\n  "a": 1,\r\n  "b": 2\r\n}\r\n');
+    });
+
+    it('previews changes with dryRun without writing', async () => {
+        const filePath = await writeFixture('json', '{"a": 1}\n');
+        const diff = await server.call('update_structured_file', {
+            path: filePath,
+            operations: [{ op: 'set', path: 'a', value: 2 }],
+            dryRun: true,
+        });
+        assert.match(diff, /-\{"a": 1\}\n\+\{"a": 2\}\n/);
+        assert.equal(await fs.readFile(filePath, 'utf-8'), '{"a": 1}\n');
+    });
+
+    it('refuses invalid files with the line of the error', async () => {
+        await assert.rejects(query('json', '{\n  "a": 1,\n  "b": \n}\n', 'a'), /line 4/);
+    });
+
+    it('refuses to index past the end of an array', async () => {
+        await assert.rejects(update('json', '{"a": [1]}', [{ op: 'set', path: 'a[5]', value: 2 }]));
+    });
+});
+
+describe('YAML', () => {
+    const content = [
+        'name: app # the name',
+        'count: 42',
+        'ratio: 1.5',
+        'enabled: yes',
+        'nothing: ~',
+        'quoted: "a\\tb"',
+        "single: 'it''s'",
+        'server:',
+        '  port: 8080',
+        '  hosts:',
+        '    - a',
+        '    - b',
+        'flags: [x, "y", 3]',
+        'map: {k: v}',
+        'text: |',
+        '  line one',
+        '  line two',
+        'folded: >',
+        '  one',
+        '  two',
+        '',
+    ].join('\n');
+
+    it('reads scalars, collections and block scalars', async () => {
+        assert.deepEqual(await queryValue('yaml', content, '$'), {
+            name: 'app',
+            count: 42,
+            ratio: 1.5,
+            enabled: 'yes',
+            nothing: null,
+            quoted: 'a\tb',
+            single: "it's",
+            server: { port: 8080, hosts: ['a', 'b'] },
+            flags: ['x', 'y', 3],
+            map: { k: 'v' },
+            text: 'line one\nline two\n',
+            folded: 'one two\n',
+        });
+    });
+
+    it('replaces a value and keeps its comment', async () => {
+        const result = await update('yaml', content, [{ op: 'set', path: 'name', value: 'web' }]);
+        assert.equal(result, content.replace('name: app # the name', 'name: web # the name'));
+    });
+
+    it('adds keys to nested mappings', async () => {
+        const result = await update('yaml', 'server:\n  port: 8080\nother: 1\n', [{ op: 'set', path: 'server.host', value: 'localhost' }]);
+        assert.equal(result, 'server:\n  port: 8080\n  host: localhost\nother: 1\n');
+    });
+
+    it('creates nested mappings for missing paths', async () => {
+        const result = await update('yaml', 'a: 1\n', [{ op: 'set', path: 'b.c', value: [1, 2] }]);
+        assert.deepEqual(JSON.parse(await query('yaml', result, '$')), { a: 1, b: { c: [1, 2] } });
+    });
+
+    it('appends to block and flow sequences', async () => {
+        assert.equal(await update('yaml', 'hosts:\n  - a\n  - b\nnext: 1\n', [{ op: 'append', path: 'hosts', value: 'c' }]),
+            'hosts:\n  - a\n  - b\n  - c\nnext: 1\n');
+        assert.equal(await update('yaml', 'flags: [x, y]\n', [{ op: 'append', path: 'flags', value: 'z' }]),
+            'flags: [x, y, z]\n');
+    });
+
+    it('reads and appends to sequences of mappings', async () => {
+        const content = 'items:\n  - name: a\n    port: 1\n  - name: b\nend: 1\n';
+        assert.equal(await queryValue('yaml', content, 'items[0].port'), 1);
+        assert.equal(await update('yaml', content, [{ op: 'append', path: 'items', value: { name: 'c', port: 3 } }]),
+            'items:\n  - name: a\n    port: 1\n  - name: b\n  - name: c\n    port: 3\nend: 1\n');
+    });
+
+    it('deletes a key together with its nested block', async () => {
+        assert.equal(await update('yaml', 'a: 1\nserver:\n  port: 8080\n  hosts:\n    - a\nb: 2\n', [{ op: 'delete', path: 'server' }]),
+            'a: 1\nb: 2\n');
+    });
+
+    it('quotes strings that would otherwise read as another type', async () => {
+        const result = await update('yaml', 'a: 1\n', [
+            { op: 'set', path: 'b', value: 'true' },
+            { op: 'set', path: 'c', value: '42' },
+            { op: 'set', path: 'd', value: 'key: value' },
+            { op: 'set', path: 'e', value: '' },
+        ]);
+        assert.deepEqual(JSON.parse(await query('yaml', result, '$')), { a: 1, b: 'true', c: '42', d: 'key: value', e: '' });
+    });
+
+    it('refuses anchors, aliases and multi-document files', async () => {
+        await assert.rejects(query('yaml', 'a: &x 1\nb: *x\n', 'a'), /anchors, aliases and tags are not supported/);
+        await assert.rejects(query('yaml', 'a: 1\n---\nb: 2\n', 'a'), /multi-document files are not supported/);
+    });
+});
+
+describe('TOML', () => {
+    const content = [
+        'title = "demo" # the title',
+        "path = 'C:\\temp'",
+        'site.name = "example"',
+        'when = 1979-05-27T07:32:00Z',
+        'point = { x = 1, y = 2 }',
+        'big = 1_000',
+        'hex = 0xff',
+        'notes = """',
+        'first',
+        'second"""',
+        '',
+        '[server]',
+        'port = 8080',
+        'hosts = ["a", "b"]',
+        '',
+        '[server."dotted.key"]',
+        'value = true',
+        '',
+        '[[items]]',
+        'name = "a"',
+        '',
+        '[[items]]',
+        'name = "b"',
+        '',
+    ].join('\n');
+
+    it('reads tables, dotted keys, inline tables and arrays of tables', async () => {
+        assert.deepEqual(await queryValue('toml', content, '$'), {
+            title: 'demo',
+            path: 'C:\\temp',
+            site: { name: 'example' },
+            when: '1979-05-27T07:32:00Z',
+            point: { x: 1, y: 2 },
+            big: 1000,
+            hex: 255,
+            notes: 'first\nsecond',
+            server: { port: 8080, hosts: ['a', 'b'], 'dotted.key': { value: true } },
+            items: [{ name: 'a' }, { name: 'b' }],
+        });
+    });
+
+    it('replaces a value and keeps its comment', async () => {
+        const result = await update('toml', content, [{ op: 'set', path: 'title', value: 'new' }]);
+        assert.equal(result, content.replace('title = "demo" # the title', 'title = "new" # the title'));
+    });
+
+    it('adds keys at the end of their table', async () => {
+        const result = await update('toml', '[server]\nport = 8080\n\n[client]\nretries = 3\n', [{ op: 'set', path: 'server.host', value: 'localhost' }]);
+        assert.equal(result, '[server]\nport = 8080\nhost = "localhost"\n\n[client]\nretries = 3\n');
+    });
+
+    it('adds new tables as sections', async () => {
+        const result = await update('toml', 'title = "x"\n', [{ op: 'set', path: 'database', value: { user: 'admin', port: 5432 } }]);
+        assert.equal(result, 'title = "x"\n\n[database]\nuser = "admin"\nport = 5432\n');
+    });
+
+    it('leaves headers of tables holding only sub-tables implicit', async () => {
+        const result = await update('toml', 'title = "x"\n', [{ op: 'set', path: 'server.tls.cert', value: 'c.pem' }]);
+        assert.equal(result, 'title = "x"\n\n[server.tls]\ncert = "c.pem"\n');
+    });
+
+    it('replaces a table where it was', async () => {
+        const result = await update('toml', '[a]\nx = 1\n\n[b]\ny = 2\n', [{ op: 'set', path: 'a', value: { z: 1 } }]);
+        assert.equal(result, '[a]\nz = 1\n\n[b]\ny = 2\n');
+    });
+
+    it('deletes keys', async () => {
+        const result = await update('toml', '[server]\nport = 8080\nhost = "x"\n', [{ op: 'delete', path: 'server.port' }]);
+        assert.equal(result, '[server]\nhost = "x"\n');
+    });
+
+    it('appends to arrays and arrays of tables', async () => {
+        assert.equal(await update('toml', 'hosts = ["a", "b"]\n', [{ op: 'append', path: 'hosts', value: 'c' }]),
+            'hosts = ["a", "b", "c"]\n');
+        assert.equal(await update('toml', 'hosts = [\n  "a", # first\n  "b" # second\n]\n', [{ op: 'append', path: 'hosts', value: 'c' }]),
+            'hosts = [\n  "a", # first\n  "b", # second\n  "c"\n]\n');
+        const result = await update('toml', '[[items]]\nname = "a"\n', [{ op: 'append', path: 'items', value: { name: 'b' } }]);
+        assert.deepEqual(JSON.parse(await query('toml', result, 'items')), [{ name: 'a' }, { name: 'b' }]);
+        assert.match(result, /\[\[items\]\]\nname = "b"\n$/);
+    });
+
+    it('quotes keys that are not bare', async () => {
+        const result = await update('toml', 'a = 1\n', [{ op: 'set', path: '$["b.c"]', value: 2 }]);
+        assert.equal(result, 'a = 1\n"b.c" = 2\n');
+    });
+
+    it('refuses duplicate keys', async () => {
+        await assert.rejects(query('toml', 'a = 1\na = 2\n', 'a'), /line 2/);
+    });
+
+    it('refuses values TOML cannot hold', async () => {
+        await assert.rejects(update('toml', 'a = 1\n', [{ op: 'set', path: 'a', value: null }]));
+    });
+});
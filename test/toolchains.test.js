@@ -0,0 +1,46 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startServer } from './helpers.js';
+
+let server;
+let configDir;
+before(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'filesystem-toolchains-'));
+    const configFile = path.join(configDir, 'toolchains.json');
+    await fs.writeFile(configFile, JSON.stringify([
+        { name: 'node_custom', commands: { default: ['node -v'] }, versionPattern: 'v?(\\d+\\.\\d+\\.\\d+)' },
+        { name: 'info', tool: 'get_file_info', commands: { default: ['node -v'] } },
+        { name: 'py', tool: 'get_python_version', commands: { default: ['node -v'] } },
+        { name: 'python', tool: 'get_python3_version', commands: { default: ['node -v'] }, versionPattern: 'v?(\\S+)' },
+    ]));
+    server = await startServer([], { FILESYSTEM_TOOLCHAINS_FILE: configFile });
+});
+after(async () => {
+    await server.close();
+    await fs.rm(configDir, { recursive: true, force: true });
+});
+
+describe('toolchain config', () => {
+    it('adds a tool per configured toolchain', async () => {
+        const names = (await server.listTools()).map(tool => tool.name);
+        assert.ok(names.includes('get_node_custom_version'));
+        assert.match(await server.call('get_node_custom_version', {}), new RegExp(process.version.slice(1)));
+    });
+
+    it('lets an entry replace the built-in toolchain of the same name', async () => {
+        const names = (await server.listTools()).map(tool => tool.name);
+        assert.ok(names.includes('get_python3_version'));
+        assert.ok(!names.includes('get_python_version'));
+    });
+
+    it('skips entries whose tool name is already taken', async () => {
+        const names = (await server.listTools()).map(tool => tool.name);
+        assert.equal(new Set(names).size, names.length);
+        assert.match(server.stderr, /Skipping toolchain "info" .*get_file_info is already used by a built-in tool/);
+        assert.match(server.stderr, /Skipping toolchain "py" .*get_python_version is already used by toolchain "python"/);
+        assert.match(await server.call('get_file_info', { path: server.root }), /isDirectory: true/);
+    });
+});